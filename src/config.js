@@ -2,6 +2,7 @@
  * Configuration for the headless WhatsApp automation service
  */
 
+import os from 'os';
 import dotenv from 'dotenv';
 
 // Load environment variables from .env file
@@ -10,11 +11,48 @@ dotenv.config();
 const API_KEY = process.env.API_KEY;
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const DEV_MODE = process.env.DEV_MODE === 'true' || process.env.NODE_ENV === 'development';
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS || '3600000', 10);
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '6', 10);
+const CALLBACK_INITIAL_DELAY_MS = parseInt(process.env.CALLBACK_INITIAL_DELAY_MS || '2000', 10);
+const CALLBACK_MAX_DELAY_MS = parseInt(process.env.CALLBACK_MAX_DELAY_MS || '60000', 10);
+const CALLBACK_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS || '10000', 10);
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || '86400000', 10);
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS || '1000', 10);
+const BULK_DELAY_MS = parseInt(process.env.BULK_DELAY_MS || '5000', 10);
+const BULK_JITTER_MS = parseInt(process.env.BULK_JITTER_MS || '2000', 10);
+const ARTIFACTS_MAX_PER_SESSION = parseInt(process.env.ARTIFACTS_MAX_PER_SESSION || '20', 10);
+const ARTIFACTS_MAX_AGE_MS = parseInt(process.env.ARTIFACTS_MAX_AGE_MS || String(7 * 24 * 60 * 60 * 1000), 10);
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(16 * 1024 * 1024), 10);
+const ATTACHMENT_MAX_COUNT = parseInt(process.env.ATTACHMENT_MAX_COUNT || '10', 10);
+// Base64 attachments up to ATTACHMENT_MAX_BYTES, plus 1 MB for the message and the JSON around them
+const SEND_BODY_LIMIT = Math.ceil((ATTACHMENT_MAX_BYTES * 4) / 3) + 1024 * 1024;
+const HEALTH_PROBE_INTERVAL_MS = parseInt(process.env.HEALTH_PROBE_INTERVAL_MS || '60000', 10);
+const HEALTH_PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '10000', 10);
+const SESSION_RECOVERY_MAX = parseInt(process.env.SESSION_RECOVERY_MAX || '3', 10);
+const STORE_BACKEND = process.env.STORE_BACKEND || 'file';
+const STORE_TIMEOUT_MS = parseInt(process.env.STORE_TIMEOUT_MS || '5000', 10);
+const BROWSER_POOL_CONTEXTS = parseInt(process.env.BROWSER_POOL_CONTEXTS || '10', 10);
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS || '0', 10);
+const MAX_CONCURRENT_LAUNCHES = parseInt(process.env.MAX_CONCURRENT_LAUNCHES || '2', 10);
+const LAUNCH_QUEUE_MAX = parseInt(process.env.LAUNCH_QUEUE_MAX || '20', 10);
+const LAUNCH_QUEUE_TIMEOUT_MS = parseInt(process.env.LAUNCH_QUEUE_TIMEOUT_MS || '60000', 10);
 
 if (!API_KEY) {
   throw new Error('API_KEY environment variable is required');
 }
 
+if (!['file', 'redis'].includes(STORE_BACKEND)) {
+  throw new Error(`STORE_BACKEND must be "file" or "redis", got "${STORE_BACKEND}"`);
+}
+
+if (!(MAX_CONCURRENT_LAUNCHES >= 1)) {
+  throw new Error(`MAX_CONCURRENT_LAUNCHES must be a positive number, got "${process.env.MAX_CONCURRENT_LAUNCHES}"`);
+}
+
+if (!(BROWSER_POOL_CONTEXTS >= 1)) {
+  throw new Error(`BROWSER_POOL_CONTEXTS must be a positive number, got "${process.env.BROWSER_POOL_CONTEXTS}"`);
+}
+
 // Proxy configuration from environment variables
 let defaultProxy = null;
 if (process.env.PROXY_SERVER) {
@@ -28,8 +66,95 @@ if (process.env.PROXY_SERVER) {
 export const config = {
   apiKey: API_KEY,
   port: PORT,
+  // Max JSON/CSV request body size (bulk sends carry hundreds of rows); send-message bodies
+  // carry attachments and use attachments.bodyLimit instead
+  bodyLimit: process.env.BODY_LIMIT || '2mb',
   devMode: DEV_MODE,
   proxy: defaultProxy,
+  jobs: {
+    // How long finished jobs stay queryable via GET /api/sessions/:sessionId/jobs/:jobId
+    retentionMs: JOB_RETENTION_MS,
+  },
+  callbacks: {
+    // Delivery of async job outcomes to caller-supplied callbackUrl
+    maxAttempts: CALLBACK_MAX_ATTEMPTS,
+    initialDelayMs: CALLBACK_INITIAL_DELAY_MS,
+    maxDelayMs: CALLBACK_MAX_DELAY_MS,
+    timeoutMs: CALLBACK_TIMEOUT_MS,
+  },
+  idempotency: {
+    // How long an Idempotency-Key outcome is replayed for
+    ttlMs: IDEMPOTENCY_TTL_MS,
+  },
+  bulk: {
+    maxRows: BULK_MAX_ROWS,
+    // Default pause between sends in a batch, plus a random 0..jitterMs on top
+    delayMs: BULK_DELAY_MS,
+    jitterMs: BULK_JITTER_MS,
+  },
+  history: {
+    // Set HISTORY_STORE_MESSAGE_BODY=false to keep only a SHA-256 hash of each message
+    storeMessageBody: process.env.HISTORY_STORE_MESSAGE_BODY !== 'false',
+  },
+  artifacts: {
+    // Screenshots / DOM snapshots of failed sends under profiles/artifacts/<sessionId>
+    maxPerSession: ARTIFACTS_MAX_PER_SESSION,
+    maxAgeMs: ARTIFACTS_MAX_AGE_MS,
+    // Playwright traces are large, record them only when asked to
+    trace: process.env.ARTIFACTS_TRACE === 'true',
+  },
+  attachments: {
+    // Per-message caps on top of WhatsApp's per-type size limits (base64 adds ~33% to the body)
+    maxBytes: ATTACHMENT_MAX_BYTES,
+    maxCount: ATTACHMENT_MAX_COUNT,
+    // send-message body size in bytes, follows maxBytes
+    bodyLimit: SEND_BODY_LIMIT,
+  },
+  health: {
+    // How often each session's browser and page are checked for logouts, checkpoints and crashes
+    probeIntervalMs: HEALTH_PROBE_INTERVAL_MS,
+    // A page that doesn't answer within this time counts as degraded
+    probeTimeoutMs: HEALTH_PROBE_TIMEOUT_MS,
+  },
+  recovery: {
+    // Relaunch crashed browsers under the same session id (set SESSION_RECOVERY=false to disable)
+    enabled: process.env.SESSION_RECOVERY !== 'false',
+    // Crash loops stop here; the session then stays crashed until destroyed
+    maxRecoveries: SESSION_RECOVERY_MAX,
+  },
+  capacity: {
+    // Sessions this instance hosts, including ones still launching (0 = no limit)
+    maxSessions: MAX_SESSIONS,
+    // Browsers launched at once; further session creations wait in the launch queue
+    maxConcurrentLaunches: MAX_CONCURRENT_LAUNCHES,
+    // Creations allowed to wait, and for how long, before they get a 503
+    maxQueued: LAUNCH_QUEUE_MAX,
+    queueTimeoutMs: LAUNCH_QUEUE_TIMEOUT_MS,
+  },
+  inbound: {
+    // Watch each session's inbox for new WhatsApp messages (set INBOUND_WATCHER=false to disable)
+    enabled: process.env.INBOUND_WATCHER !== 'false',
+  },
+  store: {
+    // Session metadata: "file" (profiles/sessions.json) or "redis" (shared between instances)
+    backend: STORE_BACKEND,
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'metabiz:',
+    // Max wait for a Redis reply
+    timeoutMs: STORE_TIMEOUT_MS,
+    // Session records are tagged with it; on startup an instance only restores its own
+    instanceId: process.env.INSTANCE_ID || os.hostname(),
+  },
+  secrets: {
+    // AES-256-GCM key for cookies and proxy passwords stored on disk (64 hex chars or base64)
+    key: process.env.SECRETS_KEY || null,
+    // Keys being rotated out: still decrypt, records are re-encrypted with `key` on startup
+    previousKeys: (process.env.SECRETS_PREVIOUS_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean),
+  },
+  selectors: {
+    // JSON catalog of selectors and UI labels (defaults to src/catalog/selectors.json)
+    catalogPath: process.env.SELECTOR_CATALOG_PATH || null,
+  },
   browser: {
     // Allow non-headless mode for debugging (set HEADLESS=false in .env)
     headless: process.env.HEADLESS !== 'false',
@@ -42,6 +167,13 @@ export const config = {
       '--disable-web-security',
       '--disable-features=IsolateOrigins,site-per-process',
     ],
+    pool: {
+      // Host sessions as contexts of a few shared browsers instead of one browser each
+      // (set BROWSER_POOL=true to enable)
+      enabled: process.env.BROWSER_POOL === 'true',
+      // Sessions per shared browser; another browser is launched when all are full
+      contextsPerBrowser: BROWSER_POOL_CONTEXTS,
+    },
   },
 };
 
@@ -10,6 +10,17 @@ export class SessionNotFoundError extends Error {
   }
 }
 
+export class SessionUnhealthyError extends Error {
+  constructor(sessionId, status, reason = null) {
+    super(`Session ${sessionId} is ${status.replace('_', ' ')}${reason ? `: ${reason}` : ''}`);
+    this.name = 'SessionUnhealthyError';
+    this.statusCode = 503;
+    this.status = status;
+    // Machine-readable reason, e.g. SESSION_LOGGED_OUT
+    this.code = `SESSION_${status.toUpperCase()}`;
+  }
+}
+
 export class InvalidInputError extends Error {
   constructor(message) {
     super(message);
@@ -19,11 +30,13 @@ export class InvalidInputError extends Error {
 }
 
 export class AutomationError extends Error {
-  constructor(message, details = null) {
+  constructor(message, details = null, step = null) {
     super(message);
     this.name = 'AutomationError';
     this.statusCode = 500;
     this.details = details;
+    // Name of the automation step that failed (e.g. "selectExtension")
+    this.step = step;
   }
 }
 
@@ -35,3 +48,100 @@ export class BrowserCrashError extends Error {
   }
 }
 
+export class JobNotFoundError extends Error {
+  constructor(jobId) {
+    super(`Job not found: ${jobId}`);
+    this.name = 'JobNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class BatchNotFoundError extends Error {
+  constructor(batchId) {
+    super(`Batch not found: ${batchId}`);
+    this.name = 'BatchNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class ArtifactNotFoundError extends Error {
+  constructor(artifactId) {
+    super(`Artifact not found: ${artifactId}`);
+    this.name = 'ArtifactNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class ThreadNotFoundError extends Error {
+  constructor(threadId) {
+    super(`Thread not found: ${threadId}`);
+    this.name = 'ThreadNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class SubscriptionNotFoundError extends Error {
+  constructor(subscriptionId) {
+    super(`Subscription not found: ${subscriptionId}`);
+    this.name = 'SubscriptionNotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+export class JobConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobConflictError';
+    this.statusCode = 409;
+  }
+}
+
+export class IdempotencyConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdempotencyConflictError';
+    this.statusCode = 409;
+  }
+}
+
+export class IdempotencyKeyMismatchError extends Error {
+  constructor(key) {
+    super(`Idempotency-Key "${key}" was already used with a different request`);
+    this.name = 'IdempotencyKeyMismatchError';
+    this.statusCode = 422;
+  }
+}
+
+export class CatalogValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid selector catalog: ${problems.join('; ')}`);
+    this.name = 'CatalogValidationError';
+    this.statusCode = 422;
+    this.problems = problems;
+  }
+}
+
+export class SecretsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SecretsError';
+    this.statusCode = 500;
+  }
+}
+
+export class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreError';
+    this.statusCode = 500;
+  }
+}
+
+export class CapacityError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'CapacityError';
+    this.statusCode = 503;
+    this.retryAfter = retryAfter; // Seconds, sent as the Retry-After header
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Idempotency-Key middleware
+ */
+
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  abandonIdempotentRequest,
+  fingerprintRequest,
+} from '../services/idempotency.js';
+import { IdempotencyConflictError, IdempotencyKeyMismatchError } from '../errors.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Responses where nothing was attempted, so retrying with the same key is harmless
+const UNSTORED_STATUS_CODES = new Set([400, 401, 404, 503]);
+
+/**
+ * Middleware that replays the stored response for a repeated Idempotency-Key
+ * (or waits for the in-flight attempt) instead of running the route again.
+ * Keys are scoped to the :sessionId route parameter.
+ */
+export async function idempotency(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid Idempotency-Key header. Expected 1-${MAX_KEY_LENGTH} characters.`,
+    });
+  }
+
+  let record;
+  try {
+    const fingerprint = fingerprintRequest({ path: req.path, body: req.body });
+    const result = await beginIdempotentRequest(req.params.sessionId, key, fingerprint);
+
+    if (result.replay) {
+      const { statusCode, body } = result.record.response;
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(statusCode).json(body);
+    }
+    record = result.record;
+  } catch (error) {
+    if (error instanceof IdempotencyKeyMismatchError || error instanceof IdempotencyConflictError) {
+      return res.status(error.statusCode).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    return next(error);
+  }
+
+  // Capture the route's JSON response as the stored outcome. This still runs when the
+  // client has already disconnected, which is exactly the case a retry needs to replay.
+  const originalJson = res.json.bind(res);
+  let settled = false;
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      if (UNSTORED_STATUS_CODES.has(res.statusCode)) {
+        abandonIdempotentRequest(record);
+      } else {
+        completeIdempotentRequest(record, res.statusCode, body);
+      }
+    }
+    return originalJson(body);
+  };
+
+  next();
+}
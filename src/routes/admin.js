@@ -0,0 +1,54 @@
+/**
+ * Admin routes
+ */
+
+import express from 'express';
+import { getCatalogInfo, reloadCatalog } from '../services/selectorCatalog.js';
+import { CatalogValidationError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/selectors
+ * Get the active selector/label catalog
+ */
+router.get('/selectors', async (req, res, next) => {
+  try {
+    res.json({
+      ok: true,
+      ...getCatalogInfo(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/selectors/reload
+ * Reload the catalog from disk without restarting. A malformed catalog is
+ * rejected and the current one stays active.
+ */
+router.post('/selectors/reload', async (req, res, next) => {
+  try {
+    const { version, source, loadedAt } = reloadCatalog();
+
+    res.json({
+      ok: true,
+      message: 'Selector catalog reloaded',
+      version,
+      source,
+      loadedAt,
+    });
+  } catch (error) {
+    if (error instanceof CatalogValidationError) {
+      return res.status(422).json({
+        ok: false,
+        error: 'Invalid selector catalog, keeping the current one',
+        problems: error.problems,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,81 @@
+/**
+ * Failure artifact routes
+ */
+
+import express from 'express';
+import { listArtifacts, getArtifact, getArtifactFilePath } from '../services/artifacts.js';
+import { ArtifactNotFoundError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/artifacts
+ * List failure artifacts for a session, newest first
+ */
+router.get('/:sessionId/artifacts', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const artifacts = await listArtifacts(sessionId);
+
+    res.json({
+      ok: true,
+      artifacts,
+      count: artifacts.length,
+    });
+  } catch (error) {
+    if (error instanceof ArtifactNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/artifacts/:artifactId
+ * Get artifact metadata
+ */
+router.get('/:sessionId/artifacts/:artifactId', async (req, res, next) => {
+  try {
+    const { sessionId, artifactId } = req.params;
+    const artifact = await getArtifact(sessionId, artifactId);
+
+    res.json({
+      ok: true,
+      artifact,
+    });
+  } catch (error) {
+    if (error instanceof ArtifactNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/artifacts/:artifactId/files/:fileName
+ * Download an artifact file (screenshot.png, dom.html, trace.zip)
+ */
+router.get('/:sessionId/artifacts/:artifactId/files/:fileName', async (req, res, next) => {
+  try {
+    const { sessionId, artifactId, fileName } = req.params;
+    const filePath = await getArtifactFilePath(sessionId, artifactId, fileName);
+
+    res.sendFile(filePath);
+  } catch (error) {
+    if (error instanceof ArtifactNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
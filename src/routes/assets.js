@@ -0,0 +1,52 @@
+/**
+ * Business asset routes - Business portfolios and WhatsApp numbers available to a session
+ */
+
+import express from 'express';
+import { listAssetsForSession } from '../services/assets.js';
+import { getSession } from '../services/sessionManager.js';
+import { SessionNotFoundError, AutomationError, JobConflictError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/assets
+ * List the business assets shown in the inbox's asset switcher, along with the
+ * asset and sender number the session sends from by default
+ */
+router.get('/:sessionId/assets', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const assets = await listAssetsForSession(sessionId);
+
+    res.json({
+      ok: true,
+      assets,
+      count: assets.length,
+      selected: getSession(sessionId).asset,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof AutomationError) {
+      return res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+/**
+ * Bulk message sending routes
+ */
+
+import express from 'express';
+import { queueBatchForSession, parseBulkRows, getBatch, cancelBatch, serializeBatch } from '../services/bulkSender.js';
+import { isValidCallbackUrl, notifyJobCallback } from '../services/callbacks.js';
+import { getJob } from '../services/jobQueue.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { parseCsv } from '../utils/csv.js';
+import { SessionNotFoundError, SessionUnhealthyError, BatchNotFoundError, JobConflictError } from '../errors.js';
+import { config } from '../config.js';
+
+const router = express.Router();
+
+// Upper bound for a single pacing value (10 minutes)
+const MAX_PACING_MS = 10 * 60 * 1000;
+
+/**
+ * Parse an optional pacing value (ms) from the body or query string
+ * @returns {number|undefined|null} Parsed value, undefined when absent, null when invalid
+ */
+function parsePacingValue(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_PACING_MS) {
+    return null;
+  }
+  return ms;
+}
+
+/**
+ * POST /api/sessions/:sessionId/send-bulk
+ * Queue a batch of messages. Accepts a JSON array of rows, a JSON object
+ * {rows, delayMs?, jitterMs?, callbackUrl?}, or CSV (Content-Type: text/csv)
+ * with a header row (to,message or country/extension,phoneNumber,message) and pacing in
+ * the query string.
+ */
+router.post(
+  '/:sessionId/send-bulk',
+  express.text({ type: 'text/csv', limit: config.bodyLimit }),
+  idempotency,
+  async (req, res, next) => {
+    try {
+      const { sessionId } = req.params;
+
+      let rows;
+      let options = req.query;
+      if (typeof req.body === 'string') {
+        rows = parseCsv(req.body);
+      } else if (Array.isArray(req.body)) {
+        rows = req.body;
+      } else {
+        rows = req.body.rows;
+        options = { ...req.query, ...req.body };
+      }
+
+      const { rows: recipients, errors } = parseBulkRows(rows);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Invalid bulk rows',
+          errors,
+        });
+      }
+
+      const delayMs = parsePacingValue(options.delayMs);
+      const jitterMs = parsePacingValue(options.jitterMs);
+      if (delayMs === null || jitterMs === null) {
+        return res.status(400).json({
+          ok: false,
+          error: `delayMs and jitterMs must be integers between 0 and ${MAX_PACING_MS}`,
+        });
+      }
+
+      const { callbackUrl } = options;
+      if (callbackUrl !== undefined && !isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Invalid callbackUrl. Expected an absolute http(s) URL.',
+        });
+      }
+
+      const batch = queueBatchForSession(sessionId, recipients, { delayMs, jitterMs });
+      if (callbackUrl) {
+        notifyJobCallback(getJob(sessionId, batch.jobId), callbackUrl);
+      }
+
+      res.status(202).json({
+        ok: true,
+        batchId: batch.batchId,
+        jobId: batch.jobId,
+        total: batch.rows.length,
+        status: batch.status,
+        statusUrl: `/api/sessions/${sessionId}/batches/${batch.batchId}`,
+      });
+    } catch (error) {
+      if (error instanceof SessionNotFoundError) {
+        return res.status(404).json({
+          ok: false,
+          error: error.message,
+        });
+      }
+      if (error instanceof SessionUnhealthyError) {
+        return res.status(503).json({
+          ok: false,
+          error: error.message,
+          code: error.code,
+          status: error.status,
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/sessions/:sessionId/batches/:batchId
+ * Get batch status with per-row results
+ */
+router.get('/:sessionId/batches/:batchId', async (req, res, next) => {
+  try {
+    const { sessionId, batchId } = req.params;
+    const batch = getBatch(sessionId, batchId);
+
+    res.json({
+      ok: true,
+      batch: serializeBatch(batch),
+    });
+  } catch (error) {
+    if (error instanceof BatchNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId/batches/:batchId
+ * Cancel a batch (remaining rows are not sent)
+ */
+router.delete('/:sessionId/batches/:batchId', async (req, res, next) => {
+  try {
+    const { sessionId, batchId } = req.params;
+    const batch = cancelBatch(sessionId, batchId);
+
+    res.json({
+      ok: true,
+      message: batch.status === 'cancelled' ? 'Batch cancelled' : 'Batch will stop after the current message',
+      batch: serializeBatch(batch, { includeRows: false }),
+    });
+  } catch (error) {
+    if (error instanceof BatchNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+/**
+ * Cookie routes - Export and replace the live cookies of a running session
+ */
+
+import express from 'express';
+import { getSessionCookies, replaceSessionCookies } from '../services/sessionManager.js';
+import { readCookieFields } from '../utils/cookies.js';
+import { InvalidInputError, SessionNotFoundError, SessionUnhealthyError, JobConflictError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/cookies
+ * Current cookies of the session's browser, including tokens Meta rotated since creation
+ */
+router.get('/:sessionId/cookies', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const { cookieString, cookies } = await getSessionCookies(sessionId);
+
+    res.json({
+      ok: true,
+      cookies: cookieString,
+      entries: cookies,
+      count: cookies.length,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof SessionUnhealthyError) {
+      return res.status(503).json({
+        ok: false,
+        error: error.message,
+        code: error.code,
+        status: error.status,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sessions/:sessionId/cookies
+ * Replace the session's cookies without relaunching the browser
+ * Body: {cookies, cookieFormat?} in any format POST /api/sessions accepts
+ */
+router.put('/:sessionId/cookies', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { cookies, cookieFormat } = req.body;
+
+    const cookieFields = readCookieFields(cookies, cookieFormat);
+    if (cookieFields.error) {
+      return res.status(400).json({
+        ok: false,
+        error: cookieFields.error,
+      });
+    }
+
+    const result = await replaceSessionCookies(sessionId, cookieFields.input, cookieFields.format);
+
+    res.json({
+      ok: true,
+      message: 'Cookies replaced',
+      status: result.health?.status || 'active',
+      health: result.health,
+      cookieFormat: result.cookieFormat,
+      rejectedCookies: result.rejectedCookies,
+      warnings: result.warnings,
+    });
+  } catch (error) {
+    if (error instanceof InvalidInputError) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+/**
+ * Message history routes
+ */
+
+import express from 'express';
+import { queryMessages } from '../services/messageHistory.js';
+import { InvalidInputError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/messages
+ * Query send history across all sessions
+ * Query: sessionId?, recipient?, status? (sent|failed), from?, to?, limit?, offset?
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { sessionId, recipient, status, from, to, limit, offset } = req.query;
+    const result = await queryMessages({ sessionId, recipient, status, from, to, limit, offset });
+
+    res.json({
+      ok: true,
+      ...result,
+    });
+  } catch (error) {
+    if (error instanceof InvalidInputError) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
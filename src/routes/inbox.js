@@ -0,0 +1,115 @@
+/**
+ * Inbox routes - read conversations from the session's Business Suite inbox
+ */
+
+import express from 'express';
+import { listThreadsForSession, getThreadMessagesForSession } from '../services/inbox.js';
+import { SessionNotFoundError, ThreadNotFoundError, JobConflictError } from '../errors.js';
+
+const router = express.Router();
+
+const CHANNELS = ['whatsapp', 'all'];
+
+/**
+ * Parse an optional positive integer limit
+ * @returns {number|undefined|null} Parsed value, undefined when absent, null when invalid
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+}
+
+/**
+ * GET /api/sessions/:sessionId/threads
+ * List inbox conversations, most recent first
+ * Query: limit? (default 50, max 200), channel? (whatsapp|all, default whatsapp)
+ */
+router.get('/:sessionId/threads', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { channel = 'whatsapp' } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (limit === null) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid limit: expected a positive integer',
+      });
+    }
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid channel: expected one of ${CHANNELS.join(', ')}`,
+      });
+    }
+
+    const threads = await listThreadsForSession(sessionId, { limit, channel });
+
+    res.json({
+      ok: true,
+      threads,
+      count: threads.length,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/threads/:threadId/messages
+ * Read the messages of a conversation, oldest first
+ * Query: limit? most recent messages to return (default 100, max 500)
+ */
+router.get('/:sessionId/threads/:threadId/messages', async (req, res, next) => {
+  try {
+    const { sessionId, threadId } = req.params;
+    const limit = parseLimit(req.query.limit);
+
+    if (limit === null) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid limit: expected a positive integer',
+      });
+    }
+
+    const { thread, messages } = await getThreadMessagesForSession(sessionId, threadId, { limit });
+
+    res.json({
+      ok: true,
+      thread,
+      messages,
+      count: messages.length,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError || error instanceof ThreadNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
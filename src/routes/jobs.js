@@ -0,0 +1,85 @@
+/**
+ * Job routes - inspect and cancel queued session work
+ */
+
+import express from 'express';
+import { getJob, getSessionJobs, cancelJob, serializeJob } from '../services/jobQueue.js';
+import { JobNotFoundError, JobConflictError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/jobs
+ * List jobs for a session
+ */
+router.get('/:sessionId/jobs', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const jobs = getSessionJobs(sessionId).map(serializeJob);
+
+    res.json({
+      ok: true,
+      jobs,
+      count: jobs.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/jobs/:jobId
+ * Get job status
+ */
+router.get('/:sessionId/jobs/:jobId', async (req, res, next) => {
+  try {
+    const { sessionId, jobId } = req.params;
+    const job = getJob(sessionId, jobId);
+
+    res.json({
+      ok: true,
+      job: serializeJob(job),
+    });
+  } catch (error) {
+    if (error instanceof JobNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId/jobs/:jobId
+ * Cancel a job that is still queued
+ */
+router.delete('/:sessionId/jobs/:jobId', async (req, res, next) => {
+  try {
+    const { sessionId, jobId } = req.params;
+    const job = cancelJob(sessionId, jobId);
+
+    res.json({
+      ok: true,
+      message: 'Job cancelled',
+      job: serializeJob(job),
+    });
+  } catch (error) {
+    if (error instanceof JobNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -3,58 +3,241 @@
  */
 
 import express from 'express';
-import { sendMessageForSession } from '../services/sessionManager.js';
-import { InvalidInputError, SessionNotFoundError, AutomationError } from '../errors.js';
+import { queueMessageForSession } from '../services/sessionManager.js';
+import { isValidCallbackUrl, notifyJobCallback } from '../services/callbacks.js';
+import { parseAttachments } from '../services/attachments.js';
+import { parseAssetSelection } from '../services/assets.js';
+import { parsePhoneNumber } from '../utils/phone.js';
+import { queryMessages } from '../services/messageHistory.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { InvalidInputError, SessionNotFoundError, SessionUnhealthyError, ThreadNotFoundError, AutomationError, JobConflictError } from '../errors.js';
 
 const router = express.Router();
 
+const SEND_PATHS = ['new_number', 'existing_thread', 'auto'];
+
 /**
  * POST /api/sessions/:sessionId/send-message
- * Send a WhatsApp message
+ * Send a WhatsApp message (or, with dryRun: true, fill the dialog without sending)
+ * The recipient is `to` (international number, e.g. +447911123456), or phoneNumber with an ISO
+ * country or calling code extension; invalid numbers are rejected before anything is queued
+ * sendPath 'existing_thread' / 'auto' replies in the recipient's conversation (threadId, or
+ * found by phone number); 'auto' falls back to "New WhatsApp number" when there is none.
+ * With threadId the phone number is optional (without it 'auto' has nothing to fall back to)
+ * attachments: [{filename, mimeType, data (base64)}], checked against WhatsApp's limits up front
+ * template: {name, language?} with templateParams {key: value} sends an approved template instead
+ * of message (new_number path only)
+ * businessId/assetId/senderNumber override the session's business asset for this message
+ * Supports an Idempotency-Key header to make retries safe
  */
-router.post('/:sessionId/send-message', async (req, res, next) => {
+router.post('/:sessionId/send-message', idempotency, async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const { extension, phoneNumber, message } = req.body;
+    const { to, country, extension, phoneNumber, message, callbackUrl, threadId, template, templateParams, sendPath = 'new_number' } = req.body;
+    const isAsync = req.body.async === true;
+    const dryRun = req.body.dryRun === true;
 
     // Validate input
-    if (!extension || !phoneNumber || !message) {
+    if (!(message || template)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required field: message (or template)',
+      });
+    }
+
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({
+        ok: false,
+        error: 'message must be a string',
+      });
+    }
+
+    if (!SEND_PATHS.includes(sendPath)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid sendPath: expected one of ${SEND_PATHS.join(', ')}`,
+      });
+    }
+
+    if (threadId !== undefined) {
+      if (typeof threadId !== 'string' || !threadId) {
+        return res.status(400).json({
+          ok: false,
+          error: 'threadId must be a non-empty string',
+        });
+      }
+      if (sendPath === 'new_number') {
+        return res.status(400).json({
+          ok: false,
+          error: 'threadId is only supported with sendPath existing_thread or auto',
+        });
+      }
+    }
+
+    // A reply by threadId doesn't need the recipient's number
+    const hasNumber = [to, phoneNumber].some((value) => value !== undefined && value !== null && value !== '');
+    const recipient = threadId && !hasNumber ? null : parsePhoneNumber({ to, country, extension, phoneNumber });
+    if (recipient && !recipient.valid) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: extension, phoneNumber, message',
+        error: recipient.error,
       });
     }
 
-    if (typeof extension !== 'string' || typeof phoneNumber !== 'string' || typeof message !== 'string') {
+    // Throws InvalidInputError for malformed ids or numbers
+    const asset = parseAssetSelection(req.body);
+    if (asset.senderNumber && sendPath === 'existing_thread') {
       return res.status(400).json({
         ok: false,
-        error: 'All fields must be strings',
+        error: 'senderNumber only applies to new conversations (sendPath new_number or auto)',
+      });
+    }
+
+    // Throws InvalidInputError for unsupported types or oversized files
+    const attachments = req.body.attachments === undefined ? [] : parseAttachments(req.body.attachments);
+
+    if (template !== undefined) {
+      if (!template || typeof template !== 'object' || typeof template.name !== 'string' || !template.name.trim()
+        || (template.language !== undefined && typeof template.language !== 'string')) {
+        return res.status(400).json({
+          ok: false,
+          error: 'template must be an object {name, language?} with string values',
+        });
+      }
+      if (message !== undefined) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Send either message or template, not both',
+        });
+      }
+      if (sendPath !== 'new_number' || attachments.length > 0) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Templates are only supported with sendPath new_number and without attachments',
+        });
+      }
+    }
+
+    if (templateParams !== undefined) {
+      if (template === undefined) {
+        return res.status(400).json({
+          ok: false,
+          error: 'templateParams is only supported together with template',
+        });
+      }
+      if (!templateParams || typeof templateParams !== 'object' || Array.isArray(templateParams)
+        || !Object.values(templateParams).every((value) => ['string', 'number'].includes(typeof value))) {
+        return res.status(400).json({
+          ok: false,
+          error: 'templateParams must be an object of string or number values, e.g. {"1": "Jane"}',
+        });
+      }
+    }
+
+    if (callbackUrl !== undefined) {
+      if (!isAsync) {
+        return res.status(400).json({
+          ok: false,
+          error: 'callbackUrl is only supported together with async: true',
+        });
+      }
+      if (!isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Invalid callbackUrl. Expected an absolute http(s) URL.',
+        });
+      }
+    }
+
+    const job = queueMessageForSession(
+      sessionId,
+      {
+        extension: recipient?.callingCode ?? null,
+        phoneNumber: recipient?.nationalNumber ?? null,
+        country: recipient?.country.iso ?? null,
+        message,
+        threadId,
+        attachments,
+        template: template && { name: template.name.trim(), language: template.language || null },
+        templateParams: templateParams || {},
+        asset: asset.businessId || asset.assetId || asset.senderNumber ? asset : null,
+      },
+      { dryRun, sendPath }
+    );
+
+    // Async mode: respond right away, report the outcome via callback and/or job status
+    if (isAsync) {
+      if (callbackUrl) {
+        notifyJobCallback(job, callbackUrl);
+      }
+      return res.status(202).json({
+        ok: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/sessions/${sessionId}/jobs/${job.jobId}`,
+      });
+    }
+
+    // Sends are queued per session; wait for this one to reach the front and finish
+    const result = await job.promise;
+
+    if (dryRun) {
+      return res.json({
+        ok: true,
+        jobId: job.jobId,
+        to: recipient?.e164 ?? null,
+        message: result.valid
+          ? 'Dry run completed, message was not sent'
+          : `Dry run failed at ${result.steps.find((step) => step.status === 'failed').name}, message was not sent`,
+        ...result,
       });
     }
 
-    await sendMessageForSession(sessionId, { extension, phoneNumber, message });
+    const { delivery, path, asset: sentFrom } = result;
 
     res.json({
       ok: true,
-      message: 'Message sent successfully',
+      jobId: job.jobId,
+      message: delivery.status === 'verified'
+        ? 'Message sent and verified'
+        : 'Message sent, but delivery could not be verified',
+      to: recipient?.e164 ?? null,
+      path,
+      asset: sentFrom,
+      delivery,
     });
   } catch (error) {
-    if (error instanceof SessionNotFoundError) {
+    if (error instanceof SessionNotFoundError || error instanceof ThreadNotFoundError) {
       return res.status(404).json({
         ok: false,
         error: error.message,
       });
     }
+    if (error instanceof SessionUnhealthyError) {
+      return res.status(503).json({
+        ok: false,
+        error: error.message,
+        code: error.code,
+        status: error.status,
+      });
+    }
     if (error instanceof InvalidInputError) {
       return res.status(400).json({
         ok: false,
         error: error.message,
       });
     }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
     if (error instanceof AutomationError) {
       return res.status(500).json({
         ok: false,
         error: error.message,
+        step: error.step,
         details: error.details,
       });
     }
@@ -62,5 +245,31 @@ router.post('/:sessionId/send-message', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/sessions/:sessionId/messages
+ * Query send history for a session (also covers sessions that no longer exist)
+ * Query: recipient?, status? (sent|failed), from?, to?, limit?, offset?
+ */
+router.get('/:sessionId/messages', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { recipient, status, from, to, limit, offset } = req.query;
+    const result = await queryMessages({ sessionId, recipient, status, from, to, limit, offset });
+
+    res.json({
+      ok: true,
+      ...result,
+    });
+  } catch (error) {
+    if (error instanceof InvalidInputError) {
+      return res.status(400).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
 export default router;
 
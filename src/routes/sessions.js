@@ -4,7 +4,10 @@
 
 import express from 'express';
 import { createSession, destroySession, getAllSessionIds, getSession } from '../services/sessionManager.js';
-import { InvalidInputError, SessionNotFoundError } from '../errors.js';
+import { parseAssetSelection } from '../services/assets.js';
+import { isValidLocale, isValidTimezone } from '../utils/fingerprint.js';
+import { readCookieFields } from '../utils/cookies.js';
+import { InvalidInputError, SessionNotFoundError, CapacityError } from '../errors.js';
 
 const router = express.Router();
 
@@ -23,7 +26,13 @@ router.get('/', async (req, res, next) => {
           createdAt: session.createdAt,
           lastActivity: session.lastActivity,
           ipAddress: session.ipAddress || null,
-          status: 'active',
+          locale: session.fingerprint.locale,
+          timezoneId: session.fingerprint.timezoneId,
+          uiLanguage: session.uiLanguage || null,
+          asset: session.asset,
+          status: session.health?.status || 'active',
+          health: session.health,
+          recovery: session.recovery,
         };
       } catch {
         return null;
@@ -55,7 +64,13 @@ router.get('/:sessionId', async (req, res, next) => {
       createdAt: session.createdAt,
       lastActivity: session.lastActivity,
       ipAddress: session.ipAddress || null,
-      status: 'active',
+      locale: session.fingerprint.locale,
+      timezoneId: session.fingerprint.timezoneId,
+      uiLanguage: session.uiLanguage || null,
+      asset: session.asset,
+      status: session.health?.status || 'active',
+      health: session.health,
+      recovery: session.recovery,
     });
   } catch (error) {
     if (error instanceof SessionNotFoundError) {
@@ -71,15 +86,21 @@ router.get('/:sessionId', async (req, res, next) => {
 /**
  * POST /api/sessions
  * Create a new session
+ * businessId/assetId open that asset's inbox instead of Meta's default, senderNumber picks
+ * the WhatsApp number new conversations are started from
+ * cookies may be a cookie string, a JSON export or cookies.txt contents (cookieFormat, or detected)
  */
 router.post('/', async (req, res, next) => {
   try {
-    const { cookies, proxy } = req.body;
+    const { cookies, cookieFormat, proxy, locale, timezoneId } = req.body;
+    // Throws InvalidInputError for malformed ids or numbers
+    const asset = parseAssetSelection(req.body);
 
-    if (!cookies || typeof cookies !== 'string') {
+    const cookieFields = readCookieFields(cookies, cookieFormat);
+    if (cookieFields.error) {
       return res.status(400).json({
         ok: false,
-        error: 'Invalid cookies format. Expected a string.',
+        error: cookieFields.error,
       });
     }
 
@@ -99,12 +120,39 @@ router.post('/', async (req, res, next) => {
       };
     }
 
-    const result = await createSession(cookies, null, null, proxyConfig);
+    // Browser locale/timezone (defaults: en-US, America/New_York)
+    if (locale !== undefined && !isValidLocale(locale)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid locale. Expected a BCP 47 language tag such as "es-MX".',
+      });
+    }
+    if (timezoneId !== undefined && !isValidTimezone(timezoneId)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid timezoneId. Expected an IANA timezone such as "America/Sao_Paulo".',
+      });
+    }
+    const localeSettings = {
+      locale: locale !== undefined ? Intl.getCanonicalLocales(locale)[0] : undefined,
+      timezoneId,
+    };
+
+    // Waits for a launch slot; a full instance answers 503 with Retry-After
+    const result = await createSession(cookieFields.input, null, null, proxyConfig, localeSettings, asset, cookieFields.format);
 
     res.status(201).json({
       sessionId: result.sessionId,
       ipAddress: result.ipAddress,
-      status: 'active',
+      locale: result.locale,
+      timezoneId: result.timezoneId,
+      uiLanguage: result.uiLanguage,
+      asset: result.asset,
+      status: result.health.status,
+      health: result.health,
+      cookieFormat: result.cookieFormat,
+      rejectedCookies: result.rejectedCookies,
+      warnings: result.warnings,
     });
   } catch (error) {
     if (error instanceof InvalidInputError) {
@@ -113,6 +161,14 @@ router.post('/', async (req, res, next) => {
         error: error.message,
       });
     }
+    if (error instanceof CapacityError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        ok: false,
+        error: error.message,
+        retryAfter: error.retryAfter,
+      });
+    }
     next(error);
   }
 });
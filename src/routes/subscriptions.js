@@ -0,0 +1,91 @@
+/**
+ * Subscription routes - webhooks for inbound message events
+ */
+
+import express from 'express';
+import { createSubscription, listSubscriptions, deleteSubscription } from '../services/subscriptions.js';
+import { getSession } from '../services/sessionManager.js';
+import { isValidCallbackUrl } from '../services/callbacks.js';
+import { SessionNotFoundError, SubscriptionNotFoundError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/sessions/:sessionId/subscriptions
+ * Subscribe a webhook URL to the session's message.received events
+ * Body: {url}
+ */
+router.post('/:sessionId/subscriptions', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { url } = req.body;
+
+    if (!isValidCallbackUrl(url)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid url. Expected an absolute http(s) URL.',
+      });
+    }
+
+    getSession(sessionId);
+    const subscription = await createSubscription(sessionId, url);
+
+    res.status(201).json({
+      ok: true,
+      subscription,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions/:sessionId/subscriptions
+ * List the session's subscriptions
+ */
+router.get('/:sessionId/subscriptions', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const subscriptions = await listSubscriptions(sessionId);
+
+    res.json({
+      ok: true,
+      subscriptions,
+      count: subscriptions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId/subscriptions/:subscriptionId
+ * Remove a subscription
+ */
+router.delete('/:sessionId/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const { sessionId, subscriptionId } = req.params;
+    await deleteSubscription(sessionId, subscriptionId);
+
+    res.json({
+      ok: true,
+      message: 'Subscription deleted',
+    });
+  } catch (error) {
+    if (error instanceof SubscriptionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
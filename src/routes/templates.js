@@ -0,0 +1,58 @@
+/**
+ * Template routes - WhatsApp message templates available to a session
+ */
+
+import express from 'express';
+import { listTemplatesForSession } from '../services/templates.js';
+import { SessionNotFoundError, AutomationError, JobConflictError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/sessions/:sessionId/templates
+ * List the templates shown in the new-conversation dialog's template picker
+ * Query: language? (e.g. en_US)
+ */
+router.get('/:sessionId/templates', async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { language } = req.query;
+
+    if (language !== undefined && (typeof language !== 'string' || !/^[a-z]{2,3}([_-][a-z]{2})?$/i.test(language))) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid language: expected a template language code such as en_US',
+      });
+    }
+
+    const templates = await listTemplatesForSession(sessionId, { language });
+
+    res.json({
+      ok: true,
+      templates,
+      count: templates.length,
+    });
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      return res.status(404).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof AutomationError) {
+      return res.status(500).json({
+        ok: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+export default router;
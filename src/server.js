@@ -7,29 +7,73 @@ import { config } from './config.js';
 import { apiKeyAuth } from './middleware/auth.js';
 import sessionsRouter from './routes/sessions.js';
 import messagesRouter from './routes/messages.js';
-import { destroyAllSessions, restoreSessions } from './services/sessionManager.js';
+import jobsRouter from './routes/jobs.js';
+import bulkRouter from './routes/bulk.js';
+import historyRouter from './routes/history.js';
+import artifactsRouter from './routes/artifacts.js';
+import inboxRouter from './routes/inbox.js';
+import subscriptionsRouter from './routes/subscriptions.js';
+import templatesRouter from './routes/templates.js';
+import assetsRouter from './routes/assets.js';
+import cookiesRouter from './routes/cookies.js';
+import adminRouter from './routes/admin.js';
+import { destroyAllSessions, restoreSessions, verifyStoredSecrets, getSessionCapacity } from './services/sessionManager.js';
+import { getPoolStatus } from './services/browserPool.js';
 import {
   SessionNotFoundError,
+  SessionUnhealthyError,
+  CapacityError,
   InvalidInputError,
   AutomationError,
   BrowserCrashError,
+  JobNotFoundError,
+  JobConflictError,
+  BatchNotFoundError,
+  ArtifactNotFoundError,
+  ThreadNotFoundError,
+  SubscriptionNotFoundError,
 } from './errors.js';
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+// Bodies are only parsed once the API key checked out, so unauthenticated clients can't make
+// the server buffer large uploads; send-message bodies carry base64 attachments
+app.use('/api', apiKeyAuth);
+app.post('/api/sessions/:sessionId/send-message', express.json({ limit: config.attachments.bodyLimit }));
+app.use(express.json({ limit: config.bodyLimit }));
 
 // Health check endpoint (no auth required)
 app.get('/health', (req, res) => {
-  res.json({ ok: true, status: 'healthy' });
+  const browserPool = getPoolStatus();
+  res.json({ ok: true, status: 'healthy', capacity: getSessionCapacity(), ...(browserPool && { browserPool }) });
 });
 
-// API routes with authentication
+// API routes (authenticated above)
 // Mount sessions router first (handles GET /, GET /:sessionId, POST /, DELETE /:sessionId)
-app.use('/api/sessions', apiKeyAuth, sessionsRouter);
+app.use('/api/sessions', sessionsRouter);
 // Mount messages router (handles POST /:sessionId/send-message)
-app.use('/api/sessions', apiKeyAuth, messagesRouter);
+app.use('/api/sessions', messagesRouter);
+// Mount jobs router (handles GET /:sessionId/jobs, GET|DELETE /:sessionId/jobs/:jobId)
+app.use('/api/sessions', jobsRouter);
+// Mount bulk router (handles POST /:sessionId/send-bulk, GET|DELETE /:sessionId/batches/:batchId)
+app.use('/api/sessions', bulkRouter);
+// Mount artifacts router (handles GET /:sessionId/artifacts[/:artifactId[/files/:fileName]])
+app.use('/api/sessions', artifactsRouter);
+// Mount inbox router (handles GET /:sessionId/threads, GET /:sessionId/threads/:threadId/messages)
+app.use('/api/sessions', inboxRouter);
+// Mount subscriptions router (handles POST|GET /:sessionId/subscriptions, DELETE /:sessionId/subscriptions/:subscriptionId)
+app.use('/api/sessions', subscriptionsRouter);
+// Mount templates router (handles GET /:sessionId/templates)
+app.use('/api/sessions', templatesRouter);
+// Mount assets router (handles GET /:sessionId/assets)
+app.use('/api/sessions', assetsRouter);
+// Mount cookies router (handles GET|PUT /:sessionId/cookies)
+app.use('/api/sessions', cookiesRouter);
+// Mount message history router (handles GET /api/messages)
+app.use('/api/messages', historyRouter);
+// Mount admin router (handles GET /api/admin/selectors, POST /api/admin/selectors/reload)
+app.use('/api/admin', adminRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -39,6 +83,14 @@ app.use((err, req, res, next) => {
     console.error('[Server] Stack trace:', err.stack);
   }
 
+  // Raised by the body parsers (BODY_LIMIT, or the attachment limits for send-message)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      ok: false,
+      error: `Request body exceeds the ${err.limit} byte limit`,
+    });
+  }
+
   if (err instanceof SessionNotFoundError) {
     return res.status(404).json({
       ok: false,
@@ -46,6 +98,44 @@ app.use((err, req, res, next) => {
     });
   }
 
+  if (
+    err instanceof JobNotFoundError ||
+    err instanceof BatchNotFoundError ||
+    err instanceof ArtifactNotFoundError ||
+    err instanceof ThreadNotFoundError ||
+    err instanceof SubscriptionNotFoundError
+  ) {
+    return res.status(404).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+
+  if (err instanceof SessionUnhealthyError) {
+    return res.status(503).json({
+      ok: false,
+      error: err.message,
+      code: err.code,
+      status: err.status,
+    });
+  }
+
+  if (err instanceof CapacityError) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(503).json({
+      ok: false,
+      error: err.message,
+      retryAfter: err.retryAfter,
+    });
+  }
+
+  if (err instanceof JobConflictError) {
+    return res.status(409).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+
   if (err instanceof InvalidInputError) {
     return res.status(400).json({
       ok: false,
@@ -57,6 +147,7 @@ app.use((err, req, res, next) => {
     return res.status(500).json({
       ok: false,
       error: err.message,
+      step: err.step,
       details: err.details,
     });
   }
@@ -125,6 +216,14 @@ async function gracefulShutdown(signal) {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// Refuse to start when stored session secrets can't be decrypted
+try {
+  await verifyStoredSecrets();
+} catch (error) {
+  console.error(`[Server] ${error.message}`);
+  process.exit(1);
+}
+
 // Start server
 server = app.listen(config.port, async () => {
   console.log(`[Server] Listening on port ${config.port}`);
@@ -0,0 +1,137 @@
+/**
+ * Admission Control - caps the number of sessions and how many browsers launch at once
+ * Session creations past MAX_CONCURRENT_LAUNCHES wait in a FIFO launch queue; when the
+ * queue or the session limit is full they are turned away with a CapacityError (503).
+ * Restores and crash recoveries bring back sessions that were already admitted, so they are
+ * never turned away, only queued.
+ */
+
+import { CapacityError } from '../errors.js';
+import { config } from '../config.js';
+
+// Sessions only free up when a client destroys one, so there is no better guess
+const SESSION_LIMIT_RETRY_AFTER_S = 60;
+// Launch time assumed until one has been measured (navigation alone can take 30s)
+const DEFAULT_LAUNCH_MS = 20000;
+
+// Launches in progress
+let activeLaunches = 0;
+// Waiting launches: {newSession, limited, grant, timer}
+const waiting = [];
+// New sessions launching or waiting, not registered yet; they count toward MAX_SESSIONS
+let pendingSessions = 0;
+// Moving average of launch durations, for Retry-After estimates
+let averageLaunchMs = DEFAULT_LAUNCH_MS;
+
+/**
+ * Seconds until a launch at this queue position would likely start
+ */
+function estimateWait(position) {
+  const rounds = Math.ceil(position / config.capacity.maxConcurrentLaunches);
+  return Math.max(1, Math.ceil((rounds * averageLaunchMs) / 1000));
+}
+
+/**
+ * Start a launch and hand back its release function
+ */
+function startLaunch(newSession) {
+  const startedAt = Date.now();
+  let released = false;
+  activeLaunches++;
+
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    activeLaunches--;
+    if (newSession) {
+      pendingSessions--;
+    }
+    averageLaunchMs = Math.round(averageLaunchMs * 0.8 + (Date.now() - startedAt) * 0.2);
+
+    const next = waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.grant(startLaunch(next.newSession));
+    }
+  };
+}
+
+/**
+ * Wait for a turn to launch a session's browser
+ * Client requests are limited by MAX_SESSIONS, LAUNCH_QUEUE_MAX and LAUNCH_QUEUE_TIMEOUT_MS.
+ * Internal launches (restores on startup, crash recoveries) are exempt from all three and
+ * wait as long as it takes, crash recoveries first since their session is already in use.
+ * @param {Object} options
+ * @param {number} options.sessionCount - Sessions currently registered, not counting crashed ones
+ * @param {boolean} options.newSession - Whether the launch adds a session (false for a relaunch
+ *   of a registered one, which is already counted)
+ * @param {boolean} options.limited - Apply the session limit and the queue length and wait limits
+ * @returns {Promise<Function>} Call once the launch finished (or failed) to free the slot
+ * @throws {CapacityError} If the session limit or the launch queue is full, or the wait timed out
+ */
+export async function acquireLaunchSlot({ sessionCount, newSession, limited }) {
+  const { maxSessions, maxConcurrentLaunches, maxQueued, queueTimeoutMs } = config.capacity;
+
+  if (limited && newSession && maxSessions > 0 && sessionCount + pendingSessions >= maxSessions) {
+    throw new CapacityError(`Session limit reached (${maxSessions} sessions)`, SESSION_LIMIT_RETRY_AFTER_S);
+  }
+  if (activeLaunches < maxConcurrentLaunches && waiting.length === 0) {
+    if (newSession) {
+      pendingSessions++;
+    }
+    return startLaunch(newSession);
+  }
+  if (limited && waiting.filter((waiter) => waiter.limited).length >= maxQueued) {
+    throw new CapacityError(`Launch queue is full (${maxQueued} session(s) waiting)`, estimateWait(waiting.length + 1));
+  }
+
+  if (newSession) {
+    pendingSessions++;
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { newSession, limited, grant: resolve, timer: null };
+    if (limited) {
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        if (newSession) {
+          pendingSessions--;
+        }
+        reject(new CapacityError(`No browser launch slot freed up within ${queueTimeoutMs}ms`, estimateWait(waiting.length + 1)));
+      }, queueTimeoutMs);
+    }
+
+    if (newSession) {
+      waiting.push(waiter);
+    } else {
+      // Ahead of new sessions, behind other relaunches
+      const firstNew = waiting.findIndex((other) => other.newSession);
+      waiting.splice(firstNew === -1 ? waiting.length : firstNew, 0, waiter);
+    }
+  });
+}
+
+/**
+ * Capacity figures, for the health endpoint
+ * @param {number} sessionCount - Sessions currently registered, not counting crashed ones
+ * @returns {Object} {sessions: {max, used, pending, free}, launches: {max, active, queued, maxQueued}}
+ *   (max and free are null without a session limit)
+ */
+export function getCapacity(sessionCount) {
+  const { maxSessions, maxConcurrentLaunches, maxQueued } = config.capacity;
+  return {
+    sessions: {
+      max: maxSessions || null,
+      used: sessionCount,
+      pending: pendingSessions,
+      free: maxSessions > 0 ? Math.max(0, maxSessions - sessionCount - pendingSessions) : null,
+    },
+    launches: {
+      max: maxConcurrentLaunches,
+      active: activeLaunches,
+      queued: waiting.length,
+      maxQueued,
+    },
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Failure Artifacts - screenshots, DOM snapshots and Playwright traces of failed sends
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { ArtifactNotFoundError } from '../errors.js';
+import { config } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// profiles/artifacts/<sessionId>/<artifactId>/{meta.json, screenshot.png, dom.html, trace.zip}
+const ARTIFACTS_DIR = path.join(__dirname, '../../profiles/artifacts');
+
+const META_FILE = 'meta.json';
+
+// Session and artifact IDs are UUIDs; anything else must not reach the filesystem
+const SAFE_ID = /^[a-zA-Z0-9-]+$/;
+
+/**
+ * Resolve an artifact directory, rejecting IDs that could escape the artifacts root
+ */
+function artifactDir(sessionId, artifactId = '') {
+  if (!SAFE_ID.test(sessionId) || (artifactId && !SAFE_ID.test(artifactId))) {
+    throw new ArtifactNotFoundError(artifactId || sessionId);
+  }
+  return path.join(ARTIFACTS_DIR, sessionId, artifactId);
+}
+
+/**
+ * Read an artifact's metadata, or null if it is missing/corrupt
+ */
+async function readMeta(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, META_FILE), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start recording a Playwright trace for the next send (when ARTIFACTS_TRACE=true)
+ * @param {BrowserContext} context - Session's browser context
+ */
+export async function startTracing(context) {
+  if (!config.artifacts.trace) {
+    return;
+  }
+  try {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+  } catch (error) {
+    console.warn(`[Artifacts] Could not start tracing: ${error.message}`);
+  }
+}
+
+/**
+ * Stop the trace started by startTracing, keeping it only if a path is given
+ * @param {BrowserContext} context - Session's browser context
+ * @param {string} [tracePath] - Where to save the trace (omit to discard it)
+ * @returns {Promise<boolean>} True if a trace was saved
+ */
+export async function stopTracing(context, tracePath = undefined) {
+  if (!config.artifacts.trace) {
+    return false;
+  }
+  try {
+    await context.tracing.stop(tracePath ? { path: tracePath } : undefined);
+    return Boolean(tracePath);
+  } catch (error) {
+    console.warn(`[Artifacts] Could not stop tracing: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Capture artifacts for a failed send: full-page screenshot, the dialog's outer HTML
+ * (or the whole document if no dialog is open) and the Playwright trace if tracing is on
+ * @param {string} sessionId - Session ID
+ * @param {Page} page - Playwright page in its failure state
+ * @param {BrowserContext} context - Browser context (for the trace)
+ * @param {Object} info - {jobId, step, error}
+ * @returns {Promise<string|null>} Artifact ID, or null if nothing could be captured
+ */
+export async function captureFailureArtifacts(sessionId, page, context, { jobId = null, step = null, error = null } = {}) {
+  const artifactId = uuidv4();
+  const dir = artifactDir(sessionId, artifactId);
+  const files = [];
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+
+    try {
+      await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+      files.push('screenshot.png');
+    } catch (screenshotError) {
+      console.warn(`[Artifacts] Could not capture screenshot: ${screenshotError.message}`);
+    }
+
+    let url = null;
+    let title = null;
+    try {
+      const snapshot = await page.evaluate(() => {
+        const dialogs = Array.from(document.querySelectorAll('[role="dialog"]'));
+        return {
+          url: window.location.href,
+          title: document.title,
+          html: dialogs.length > 0
+            ? dialogs.map((dialog) => dialog.outerHTML).join('\n\n')
+            : document.documentElement.outerHTML,
+        };
+      });
+      url = snapshot.url;
+      title = snapshot.title;
+      await fs.writeFile(path.join(dir, 'dom.html'), snapshot.html);
+      files.push('dom.html');
+    } catch (domError) {
+      console.warn(`[Artifacts] Could not capture DOM snapshot: ${domError.message}`);
+    }
+
+    if (await stopTracing(context, path.join(dir, 'trace.zip'))) {
+      files.push('trace.zip');
+    }
+
+    if (files.length === 0) {
+      await fs.rm(dir, { recursive: true, force: true });
+      return null;
+    }
+
+    const meta = {
+      artifactId,
+      sessionId,
+      jobId,
+      step,
+      error: error ? error.message : null,
+      url,
+      title,
+      files,
+      createdAt: Date.now(),
+    };
+    await fs.writeFile(path.join(dir, META_FILE), JSON.stringify(meta, null, 2));
+    console.log(`[Artifacts] ✓ Captured failure artifact ${artifactId} (${files.join(', ')})`);
+
+    await pruneArtifacts(sessionId);
+    return artifactId;
+  } catch (captureError) {
+    console.warn(`[Artifacts] Failed to capture failure artifacts: ${captureError.message}`);
+    return null;
+  }
+}
+
+/**
+ * Apply retention limits: drop artifacts older than ARTIFACTS_MAX_AGE_MS (all sessions)
+ * and keep at most ARTIFACTS_MAX_PER_SESSION for the given session
+ * @param {string} sessionId - Session that just gained an artifact
+ */
+async function pruneArtifacts(sessionId) {
+  const cutoff = Date.now() - config.artifacts.maxAgeMs;
+
+  let sessionDirs = [];
+  try {
+    sessionDirs = await fs.readdir(ARTIFACTS_DIR);
+  } catch {
+    return;
+  }
+
+  for (const dirSessionId of sessionDirs) {
+    const artifacts = await listArtifacts(dirSessionId);
+    const keep = dirSessionId === sessionId ? config.artifacts.maxPerSession : Infinity;
+
+    for (const [index, meta] of artifacts.entries()) {
+      if (index >= keep || meta.createdAt < cutoff) {
+        await fs.rm(artifactDir(dirSessionId, meta.artifactId), { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+/**
+ * List a session's artifacts, newest first
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} Artifact metadata
+ */
+export async function listArtifacts(sessionId) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(artifactDir(sessionId));
+  } catch {
+    return [];
+  }
+
+  const artifacts = [];
+  for (const artifactId of entries) {
+    const meta = await readMeta(path.join(ARTIFACTS_DIR, sessionId, artifactId));
+    if (meta) {
+      artifacts.push(meta);
+    }
+  }
+  return artifacts.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get an artifact's metadata
+ * @param {string} sessionId - Session ID
+ * @param {string} artifactId - Artifact ID
+ * @returns {Promise<Object>} Artifact metadata
+ */
+export async function getArtifact(sessionId, artifactId) {
+  const meta = await readMeta(artifactDir(sessionId, artifactId));
+  if (!meta) {
+    throw new ArtifactNotFoundError(artifactId);
+  }
+  return meta;
+}
+
+/**
+ * Resolve the path of one artifact file
+ * @param {string} sessionId - Session ID
+ * @param {string} artifactId - Artifact ID
+ * @param {string} fileName - File listed in the artifact's metadata
+ * @returns {Promise<string>} Absolute file path
+ */
+export async function getArtifactFilePath(sessionId, artifactId, fileName) {
+  const meta = await getArtifact(sessionId, artifactId);
+  if (!meta.files.includes(fileName)) {
+    throw new ArtifactNotFoundError(`${artifactId}/${fileName}`);
+  }
+  return path.join(artifactDir(sessionId, artifactId), fileName);
+}
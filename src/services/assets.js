@@ -0,0 +1,50 @@
+/**
+ * Business Assets - validates business/asset/sender selections and lists the assets
+ * available to a session
+ */
+
+import { getSession } from './sessionManager.js';
+import { enqueueJob } from './jobQueue.js';
+import { readAssets } from './automation.js';
+import { InvalidInputError } from '../errors.js';
+
+// Meta ids are long numbers; they must come as strings to survive JSON parsing
+const ID_PATTERN = /^\d{1,25}$/;
+const SENDER_NUMBER_PATTERN = /^\+?[\d\s().-]{6,24}$/;
+
+/**
+ * Validate the business asset fields of a request
+ * @param {Object} body - Request body with businessId?, assetId?, senderNumber?
+ * @returns {{businessId: string|null, assetId: string|null, senderNumber: string|null}}
+ * @throws {InvalidInputError} If a field is malformed
+ */
+export function parseAssetSelection({ businessId, assetId, senderNumber } = {}) {
+  for (const [name, value] of [['businessId', businessId], ['assetId', assetId]]) {
+    if (value !== undefined && (typeof value !== 'string' || !ID_PATTERN.test(value))) {
+      throw new InvalidInputError(`${name} must be a numeric id given as a string, e.g. "1234567890"`);
+    }
+  }
+  if (senderNumber !== undefined
+    && (typeof senderNumber !== 'string' || !SENDER_NUMBER_PATTERN.test(senderNumber) || senderNumber.replace(/\D/g, '').length < 6)) {
+    throw new InvalidInputError('senderNumber must be a phone number string, e.g. "+15551234567"');
+  }
+  return {
+    businessId: businessId || null,
+    assetId: assetId || null,
+    senderNumber: senderNumber ? senderNumber.trim() : null,
+  };
+}
+
+/**
+ * List the business assets offered by the session's asset switcher
+ * Runs through the session's job queue since it opens the switcher on the shared page.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} Assets {businessId, assetId, name, whatsappNumbers, active}
+ */
+export async function listAssetsForSession(sessionId) {
+  // Fail fast for unknown sessions instead of queueing a job that can never run
+  getSession(sessionId);
+
+  const job = enqueueJob(sessionId, 'list-assets', () => readAssets(getSession(sessionId).page));
+  return job.promise;
+}
@@ -0,0 +1,175 @@
+/**
+ * Attachments - validates base64 attachments against WhatsApp's media limits and
+ * stages them on disk for the browser's file chooser
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { InvalidInputError } from '../errors.js';
+import { config } from '../config.js';
+
+const MB = 1024 * 1024;
+
+// WhatsApp media limits: accepted MIME types and max size per kind
+const MEDIA_KINDS = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png'],
+    maxBytes: 5 * MB,
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/3gpp'],
+    maxBytes: 16 * MB,
+  },
+  audio: {
+    mimeTypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg'],
+    maxBytes: 16 * MB,
+  },
+  document: {
+    mimeTypes: [
+      'application/pdf',
+      'text/plain',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    ],
+    maxBytes: 100 * MB,
+  },
+};
+
+// One subdirectory per send, removed once the send finishes
+const STAGING_DIR = path.join(os.tmpdir(), 'metabiz-attachments');
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Find the media kind for a MIME type
+ */
+function kindOf(mimeType) {
+  return Object.keys(MEDIA_KINDS).find((kind) => MEDIA_KINDS[kind].mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Format a byte count for error messages
+ */
+function formatBytes(bytes) {
+  return bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Validate one attachment and decode its data
+ */
+function parseAttachment(attachment, index) {
+  const where = `attachments[${index}]`;
+  if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+    throw new InvalidInputError(`${where} must be an object with filename, mimeType and data`);
+  }
+  const { filename, mimeType, data } = attachment;
+
+  if (typeof filename !== 'string' || !filename.trim() || filename.length > 255 || /[\\/\0]/.test(filename)
+    || filename === '.' || filename === '..') {
+    throw new InvalidInputError(`${where}.filename must be a plain file name (no path, up to 255 characters)`);
+  }
+  if (typeof mimeType !== 'string' || !kindOf(mimeType.toLowerCase())) {
+    const accepted = Object.values(MEDIA_KINDS).flatMap((kind) => kind.mimeTypes);
+    throw new InvalidInputError(`${where}.mimeType is not supported by WhatsApp. Accepted: ${accepted.join(', ')}`);
+  }
+  if (typeof data !== 'string' || !data) {
+    throw new InvalidInputError(`${where}.data must be a base64 string`);
+  }
+
+  // Accept data URLs as well as bare base64
+  const base64 = data.replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+  if (!BASE64_PATTERN.test(base64)) {
+    throw new InvalidInputError(`${where}.data is not valid base64`);
+  }
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length === 0) {
+    throw new InvalidInputError(`${where}.data is empty`);
+  }
+
+  const type = mimeType.toLowerCase();
+  const kind = kindOf(type);
+  const { maxBytes } = MEDIA_KINDS[kind];
+  if (buffer.length > maxBytes) {
+    throw new InvalidInputError(
+      `${where} is ${formatBytes(buffer.length)}, WhatsApp allows at most ${formatBytes(maxBytes)} for ${kind} files`
+    );
+  }
+
+  return { filename: filename.trim(), mimeType: type, kind, size: buffer.length, buffer };
+}
+
+/**
+ * Validate and decode the attachments of a send request
+ * Runs before the send is queued, so oversized or unsupported files never reach the browser.
+ * @param {*} value - Request `attachments` value: [{filename, mimeType, data}]
+ * @returns {Array<Object>} Attachments {filename, mimeType, kind, size, buffer}
+ * @throws {InvalidInputError} If an attachment is malformed or exceeds a limit
+ */
+export function parseAttachments(value) {
+  if (!Array.isArray(value)) {
+    throw new InvalidInputError('attachments must be an array of {filename, mimeType, data}');
+  }
+  if (value.length > config.attachments.maxCount) {
+    throw new InvalidInputError(`Too many attachments: at most ${config.attachments.maxCount} per message`);
+  }
+
+  const attachments = value.map(parseAttachment);
+  const total = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+  if (total > config.attachments.maxBytes) {
+    throw new InvalidInputError(
+      `Attachments total ${formatBytes(total)}, at most ${formatBytes(config.attachments.maxBytes)} per message`
+    );
+  }
+  return attachments;
+}
+
+/**
+ * Attachment metadata without the file contents (for history and logs)
+ * @param {Array<Object>} attachments - From parseAttachments
+ * @returns {Array<{filename: string, mimeType: string, size: number}>}
+ */
+export function describeAttachments(attachments) {
+  return attachments.map(({ filename, mimeType, size }) => ({ filename, mimeType, size }));
+}
+
+/**
+ * Write attachments to a fresh staging directory
+ * Each file gets its own subdirectory so it keeps its original name (shown to the recipient).
+ * @param {Array<Object>} attachments - From parseAttachments
+ * @returns {Promise<{dir: string, files: Array<string>}>} Staging directory and file paths
+ */
+export async function stageAttachments(attachments) {
+  const dir = path.join(STAGING_DIR, uuidv4());
+  const files = [];
+  try {
+    for (const [index, attachment] of attachments.entries()) {
+      const fileDir = path.join(dir, String(index));
+      await fs.mkdir(fileDir, { recursive: true });
+      const file = path.join(fileDir, attachment.filename);
+      await fs.writeFile(file, attachment.buffer);
+      files.push(file);
+    }
+  } catch (error) {
+    await cleanupAttachments(dir);
+    throw error;
+  }
+  return { dir, files };
+}
+
+/**
+ * Remove a staging directory
+ * @param {string} dir - Directory returned by stageAttachments
+ */
+export async function cleanupAttachments(dir) {
+  try {
+    await fs.rm(dir, { recursive: true, force: true });
+  } catch (error) {
+    console.warn(`[Attachments] Failed to remove ${dir}: ${error.message}`);
+  }
+}
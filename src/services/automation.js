@@ -2,13 +2,55 @@
  * WhatsApp automation service - replicates the flow from content.js
  */
 
-import { AutomationError } from '../errors.js';
+import { AutomationError, ThreadNotFoundError } from '../errors.js';
+import { getCatalog, getLabelTexts, getLanguages } from './selectorCatalog.js';
+import { threadRowConfig, parseThreadRows, toThread, messagePaneConfig, parseMessageBubbles } from './threadRows.js';
+import { buildInboxUrl, parseInboxAsset, isInboxOf } from '../utils/inboxUrl.js';
+import { getCountry } from '../utils/phone.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// How long to wait for the dialog to close / the sent bubble to appear after clicking Send
+const VERIFY_DIALOG_TIMEOUT_MS = 10000;
+const VERIFY_BUBBLE_TIMEOUT_MS = 10000;
+
+// How long to wait for the thread list to render / an opened thread's composer to show up
+const THREAD_LIST_TIMEOUT_MS = 10000;
+const THREAD_OPEN_TIMEOUT_MS = 15000;
+
+// How long to wait for the file chooser / attachment previews after attaching files
+const FILE_CHOOSER_TIMEOUT_MS = 10000;
+const ATTACHMENT_PREVIEW_TIMEOUT_MS = 30000;
+
+// How long to wait for the template picker to list templates
+const TEMPLATE_PICKER_TIMEOUT_MS = 10000;
+
+// How long to wait for the sender number picker / business asset switcher to list their options
+const SENDER_PICKER_TIMEOUT_MS = 10000;
+const ASSET_SWITCHER_TIMEOUT_MS = 10000;
+
+// Steps a dry run goes through on each send path (everything up to, but not including, sending);
+// see dryRunSteps for the ones that depend on the message
+const DRY_RUN_STEPS = {
+  new_number: [
+    'verifyAsset',
+    'openWhatsappModal',
+    'clickNewWhatsappNumber',
+    'selectSenderNumber',
+    'selectExtension',
+    'fillPhoneNumber',
+    'fillMessage',
+    'selectTemplate',
+    'fillTemplateParams',
+    'attachFiles',
+  ],
+  existing_thread: ['verifyAsset', 'findThread', 'openThread', 'fillThreadMessage', 'attachFiles'],
+};
+const TEMPLATE_STEPS = ['selectTemplate', 'fillTemplateParams'];
+
 /**
  * Sleep utility
  */
@@ -79,6 +121,19 @@ async function findFirstVisible(page, selector) {
   return null;
 }
 
+/**
+ * Find first visible element matching selector inside a root element
+ */
+async function findFirstVisibleIn(page, root, selector) {
+  const elements = await root.$$(selector);
+  for (const el of elements) {
+    if (await isVisible(page, el)) {
+      return el;
+    }
+  }
+  return null;
+}
+
 /**
  * Find element by text content
  */
@@ -123,6 +178,102 @@ async function findByText(page, { text, root = null, selector = '*' }) {
   return null;
 }
 
+/**
+ * Find the first visible element whose lowercased text contains one term from each label group
+ */
+async function findByTextMatch(page, { groups, root = null, selector }) {
+  const elements = await (root || page).$$(selector);
+  for (const el of elements) {
+    if (!(await isVisible(page, el))) continue;
+
+    const text = await page.evaluate((e) => {
+      return (e.textContent || e.innerText || '').toLowerCase();
+    }, el);
+    if (groups.every((terms) => terms.some((term) => text.includes(term.toLowerCase())))) {
+      return el;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first visible element whose aria-label contains one of the given texts
+ */
+async function findByAriaLabel(page, { texts, root = null, selector }) {
+  const wants = texts.map((text) => text.toLowerCase());
+  const elements = await (root || page).$$(selector);
+  for (const el of elements) {
+    if (!(await isVisible(page, el))) continue;
+
+    const label = await el.evaluate((e) => (e.getAttribute('aria-label') || '').toLowerCase());
+    if (label && wants.some((want) => label.includes(want))) {
+      return el;
+    }
+  }
+  return null;
+}
+
+/**
+ * Try a step's catalog strategies in order and return the first element found
+ * @param {Page} page - Playwright page instance
+ * @param {string} stepName - Step key in the catalog's `steps`
+ * @param {Object} [options] - {dialog} element handle for strategies scoped to the dialog
+ *   (the open conversation's pane on the thread path), {language} label pack to match
+ *   text against (null tries every pack)
+ * @returns {Promise<ElementHandle|null>}
+ */
+async function findByStrategies(page, stepName, { dialog = null, language = null } = {}) {
+  const strategies = getCatalog().steps[stepName];
+
+  for (const [index, strategy] of strategies.entries()) {
+    const root = strategy.scope === 'dialog' ? dialog : null;
+    let el = null;
+
+    if (strategy.type === 'css') {
+      el = root ? await findFirstVisibleIn(page, root, strategy.selector) : await findFirstVisible(page, strategy.selector);
+    } else if (strategy.type === 'text') {
+      for (const text of getLabelTexts(strategy.label, language)) {
+        el = await findByText(page, { text, root, selector: strategy.selector });
+        if (el) break;
+      }
+    } else if (strategy.type === 'textMatch') {
+      const groups = strategy.allOf.map((label) => getLabelTexts(label, language));
+      el = await findByTextMatch(page, { groups, root, selector: strategy.selector });
+    } else if (strategy.type === 'ariaLabel') {
+      el = await findByAriaLabel(page, { texts: getLabelTexts(strategy.label, language), root, selector: strategy.selector });
+    }
+
+    if (el) {
+      console.log(`[Automation] ${stepName}: Found element with strategy ${index + 1} (${strategy.type})`);
+      return el;
+    }
+  }
+  return null;
+}
+
+/**
+ * Shorthand for a named selector from the catalog
+ */
+function catalogSelector(name) {
+  return getCatalog().selectors[name];
+}
+
+/**
+ * Detect the inbox UI language from the page's lang attribute
+ * Meta renders the UI in the account's language regardless of the browser locale.
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<string|null>} Catalog language code, or null if it has no pack for it
+ */
+export async function detectUiLanguage(page) {
+  try {
+    const lang = await page.evaluate(() => document.documentElement.lang || '');
+    const base = lang.toLowerCase().split(/[-_]/)[0];
+    return getLanguages().includes(base) ? base : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Set native value on input element
  */
@@ -209,23 +360,11 @@ async function clickElement(page, elementHandle, stepName = 'click') {
 /**
  * Open WhatsApp modal
  */
-async function openWhatsappModal(page) {
+async function openWhatsappModal(page, language) {
   console.log('[Automation] Step 1: Opening WhatsApp modal...');
   
-  // Try data-surface attribute first
-  let btn = await findFirstVisible(
-    page,
-    'div[role="button"][data-surface*="whatsapp_biz_init_thread_header_button"]'
-  );
-
-  // Fallback to text search
-  if (!btn) {
-    console.log('[Automation] Step 1: Button not found by data-surface, trying text search...');
-    btn = await findByText(page, {
-      text: 'Send a Message on WhatsApp',
-      selector: '[role="button"],button,div[role],a',
-    });
-  }
+  // Catalog strategies: data-surface attribute first, then text search
+  const btn = await findByStrategies(page, 'openWhatsappModal', { language });
 
   if (!btn) {
     throw new AutomationError('Step 1: Could not find "Send a Message on WhatsApp" button');
@@ -239,7 +378,7 @@ async function openWhatsappModal(page) {
   await waitFor(
     page,
     async () => {
-      const dialog = await findFirstVisible(page, '[role="dialog"]');
+      const dialog = await findFirstVisible(page, catalogSelector('dialog'));
       return dialog !== null;
     },
     { timeoutMs: 15000 }
@@ -250,13 +389,13 @@ async function openWhatsappModal(page) {
 /**
  * Click "New WhatsApp number" button
  */
-async function clickNewWhatsappNumber(page) {
+async function clickNewWhatsappNumber(page, language) {
   console.log('[Automation] Step 2: Clicking "New WhatsApp number" button...');
   
   // Wait for dialog to be fully loaded
   const dialog = await waitFor(
     page,
-    async () => findFirstVisible(page, '[role="dialog"]'),
+    async () => findFirstVisible(page, catalogSelector('dialog')),
     { timeoutMs: 15000 }
   );
 
@@ -273,7 +412,7 @@ async function clickNewWhatsappNumber(page) {
   await waitFor(
     page,
     async () => {
-      const buttons = await page.$$('[role="dialog"] [role="button"], [role="dialog"] button');
+      const buttons = await page.$$(catalogSelector('dialogButtons'));
       return buttons.length > 0;
     },
     { timeoutMs: 10000 }
@@ -281,60 +420,8 @@ async function clickNewWhatsappNumber(page) {
 
   console.log('[Automation] Step 2: Dialog content loaded, searching for button...');
 
-  // Strategy 1: Use data-surface attribute (most reliable)
-  let target = await findFirstVisible(
-    page,
-    'div[role="button"][data-surface*="business-initiate-thread-search-contacts-button"]'
-  );
-
-  if (target) {
-    console.log('[Automation] Step 2: Found button by data-surface attribute');
-  }
-
-  // Strategy 2: Try partial text match (case insensitive)
-  if (!target) {
-    console.log('[Automation] Step 2: Button not found by data-surface, trying text search...');
-    const allButtons = await page.$$('[role="button"], button, div[role="button"]');
-    for (const btn of allButtons) {
-      if (await isVisible(page, btn)) {
-        const text = await page.evaluate((el) => {
-          return (el.textContent || el.innerText || '').toLowerCase();
-        }, btn);
-        if (text.includes('new whatsapp') || text.includes('new number')) {
-          target = btn;
-          console.log('[Automation] Step 2: Found button by text content:', text.substring(0, 50));
-          break;
-        }
-      }
-    }
-  }
-
-  // Strategy 3: Find by exact text match
-  if (!target) {
-    console.log('[Automation] Step 2: Trying exact text match...');
-    target = await findByText(page, {
-      text: 'New WhatsApp number',
-      selector: '[role="button"],button,div[role="button"]',
-    });
-  }
-
-  // Strategy 4: Search for any button containing "WhatsApp" and "new"
-  if (!target) {
-    console.log('[Automation] Step 2: Trying broader search...');
-    const allButtons = await page.$$('[role="button"], button');
-    for (const btn of allButtons) {
-      if (await isVisible(page, btn)) {
-        const text = await page.evaluate((el) => {
-          return (el.textContent || el.innerText || '').toLowerCase();
-        }, btn);
-        if ((text.includes('whatsapp') || text.includes('wa')) && text.includes('new')) {
-          target = btn;
-          console.log('[Automation] Step 2: Found button by broader search:', text.substring(0, 50));
-          break;
-        }
-      }
-    }
-  }
+  // Catalog strategies: data-surface attribute, partial text, exact text, broad "new"+"WhatsApp" match
+  const target = await findByStrategies(page, 'clickNewWhatsappNumber', { dialog, language });
 
   // Debug: Log what buttons we can see
   if (!target) {
@@ -349,12 +436,12 @@ async function clickNewWhatsappNumber(page) {
     console.error('[Automation] Step 2: Page info:', JSON.stringify(pageInfo, null, 2));
     
     // Check if dialog exists
-    const dialogExists = await page.evaluate(() => !!document.querySelector('[role="dialog"]'));
+    const dialogExists = await page.evaluate((sel) => !!document.querySelector(sel), catalogSelector('dialog'));
     console.error('[Automation] Step 2: Dialog exists:', dialogExists);
     
     if (dialogExists) {
       console.error('[Automation] Step 2: Listing all visible buttons in dialog...');
-      const allButtons = await page.$$('[role="dialog"] [role="button"], [role="dialog"] button, [role="dialog"] div[role="button"], [role="dialog"] a');
+      const allButtons = await page.$$(`${catalogSelector('dialogButtons')}, ${catalogSelector('dialog')} a`);
       const visibleButtons = [];
       for (const btn of allButtons) {
         if (await isVisible(page, btn)) {
@@ -377,11 +464,11 @@ async function clickNewWhatsappNumber(page) {
       console.error(JSON.stringify(visibleButtons.slice(0, 20), null, 2));
       
       // Also log all text content in dialog
-      const dialogText = await page.evaluate(() => {
-        const dialog = document.querySelector('[role="dialog"]');
+      const dialogText = await page.evaluate((sel) => {
+        const dialog = document.querySelector(sel);
         if (!dialog) return 'No dialog';
         return (dialog.textContent || dialog.innerText || '').substring(0, 500);
-      });
+      }, catalogSelector('dialog'));
       console.error('[Automation] Step 2: Dialog text content (first 500 chars):', dialogText);
       
       // Log dialog HTML structure (first 3000 chars)
@@ -410,15 +497,51 @@ async function clickNewWhatsappNumber(page) {
   console.log('[Automation] Step 2: ✓ "New WhatsApp number" clicked successfully');
 }
 
+/**
+ * Pick the dropdown option for a calling code
+ * Countries sharing a code (+1 US/CA/Caribbean, +7 RU/KZ) are told apart by the ISO code,
+ * flag or name in the option text; otherwise the first option with exactly this code wins.
+ * @param {ElementHandle[]} options - Dropdown options
+ * @param {string} callingCode - Calling code digits, e.g. "1"
+ * @param {string} [countryIso] - ISO code of the recipient's country
+ * @returns {Promise<{option: ElementHandle, text: string}>}
+ */
+export async function pickExtensionOption(options, callingCode, countryIso) {
+  const texts = [];
+  for (const option of options) {
+    texts.push(await option.evaluate((el) => (el.textContent || el.innerText || '').replace(/\s+/g, ' ').trim()));
+  }
+  const codePattern = new RegExp(`\\+\\s?${callingCode}(?!\\d)`);
+  const candidates = texts.map((text, index) => index).filter((index) => codePattern.test(texts[index]));
+
+  const country = getCountry(countryIso);
+  if (country) {
+    const isoPattern = new RegExp(`(^|[^A-Za-z])${country.iso}([^A-Za-z]|$)`);
+    const flag = String.fromCodePoint(...[...country.iso].map((char) => 0x1f1e6 + char.charCodeAt(0) - 65));
+    const name = country.name.toLowerCase();
+    const found = candidates.find((index) => isoPattern.test(texts[index]) || texts[index].includes(flag) || texts[index].toLowerCase().includes(name));
+    if (found !== undefined) {
+      return { option: options[found], text: texts[found] };
+    }
+    console.warn(`[Automation] Step 3: No option names ${country.iso}, using the first +${callingCode} option`);
+  }
+
+  const index = candidates[0] ?? 0;
+  return { option: options[index], text: texts[index] };
+}
+
 /**
  * Select extension from dropdown
+ * @param {string} extension - Calling code, e.g. "44"
+ * @param {string} [country] - ISO code of the recipient's country, picks between countries
+ *   sharing the calling code
  */
-async function selectExtension(page, extension) {
-  console.log(`[Automation] Step 3: Selecting extension "${extension}"...`);
+async function selectExtension(page, extension, country = null) {
+  console.log(`[Automation] Step 3: Selecting extension "${extension}"${country ? ` (${country})` : ''}...`);
   
   const dialog = await waitFor(
     page,
-    async () => findFirstVisible(page, '[role="dialog"]'),
+    async () => findFirstVisible(page, catalogSelector('dialog')),
     { timeoutMs: 15000 }
   );
 
@@ -429,13 +552,14 @@ async function selectExtension(page, extension) {
   await sleep(500);
 
   // Find the extension dropdown combobox (shows country code like "US +1")
-  const allCombos = await dialog.$$('[role="combobox"][aria-haspopup="listbox"]');
+  const allCombos = await dialog.$$(catalogSelector('extensionCombobox'));
   let comboContainer = null;
   
   for (const combo of allCombos) {
     if (await isVisible(page, combo)) {
       const text = await combo.evaluate((el) => (el.textContent || el.innerText || '').trim());
-      if (text.includes('+')) {
+      // Skip the sender number picker, which shows a full "+1 555..." number
+      if (text.includes('+') && phoneNumbersIn(text).length === 0) {
         comboContainer = combo;
         break;
       }
@@ -464,10 +588,10 @@ async function selectExtension(page, extension) {
         );
         if (!expanded) return false;
         
-        const contextualLayer = await page.$('[data-testid="ContextualLayerRoot"]');
+        const contextualLayer = await page.$(catalogSelector('contextualLayer'));
         if (!contextualLayer) return false;
         
-        const searchInput = await contextualLayer.$('input[role="combobox"][type="text"]');
+        const searchInput = await contextualLayer.$(catalogSelector('extensionSearchInput'));
         if (!searchInput) return false;
         
         return await isVisible(page, searchInput) && await isVisible(page, contextualLayer);
@@ -482,11 +606,11 @@ async function selectExtension(page, extension) {
   const searchInput = await waitFor(
     page,
     async () => {
-      const contextualLayers = await page.$$('[data-testid="ContextualLayerRoot"]');
+      const contextualLayers = await page.$$(catalogSelector('contextualLayer'));
       
       for (const layer of contextualLayers) {
         if (await isVisible(page, layer)) {
-          const input = await layer.$('input[role="combobox"][type="text"]');
+          const input = await layer.$(catalogSelector('extensionSearchInput'));
           if (input && await isVisible(page, input)) {
             const ariaExpanded = await input.evaluate((el) => el.getAttribute('aria-expanded'));
             const ariaControls = await input.evaluate((el) => el.getAttribute('aria-controls'));
@@ -526,7 +650,7 @@ async function selectExtension(page, extension) {
     async () => {
       const listboxById = await page.$(`#${controlsId}`);
       if (listboxById && await isVisible(page, listboxById)) {
-        const options = await listboxById.$$('[role="option"]');
+        const options = await listboxById.$$(catalogSelector('listboxOption'));
         if (options.length > 0) {
           const firstOptionText = await options[0].evaluate((el) => 
             (el.textContent || el.innerText || '').trim()
@@ -545,15 +669,17 @@ async function selectExtension(page, extension) {
     throw new AutomationError(`Step 3: Could not find listbox with id="${controlsId}" after typing extension`);
   }
 
-  const options = await listbox.$$('[role="option"]');
+  const options = await listbox.$$(catalogSelector('listboxOption'));
   if (options.length === 0) {
     throw new AutomationError('Step 3: No options found in listbox after filtering');
   }
 
-  await options[0].scrollIntoViewIfNeeded();
+  const { option, text } = await pickExtensionOption(options, wantDigits, country);
+  await option.scrollIntoViewIfNeeded();
   await sleep(200);
-  await clickElement(page, options[0], 'Step 3: Select extension option');
+  await clickElement(page, option, 'Step 3: Select extension option');
   await sleep(400);
+  console.log(`[Automation] Step 3: ✓ Selected "${text}"`);
 }
 
 /**
@@ -564,7 +690,7 @@ async function fillPhoneNumber(page, phone) {
   
   const dialog = await waitFor(
     page,
-    async () => findFirstVisible(page, '[role="dialog"]'),
+    async () => findFirstVisible(page, catalogSelector('dialog')),
     { timeoutMs: 15000 }
   );
 
@@ -589,7 +715,7 @@ async function fillPhoneNumber(page, phone) {
   );
 
   // Find phone input - most precise: any visible tel-type input in dialog
-  let input = await findFirstVisible(page, 'input[type="tel"],input[inputmode="tel"]');
+  let input = await findFirstVisible(page, catalogSelector('phoneInput'));
 
   // Fallback: last visible input in page (phone usually comes after extension)
   if (!input) {
@@ -622,7 +748,7 @@ async function fillMessage(page, message) {
   
   const dialog = await waitFor(
     page,
-    async () => findFirstVisible(page, '[role="dialog"]'),
+    async () => findFirstVisible(page, catalogSelector('dialog')),
     { timeoutMs: 15000 }
   );
 
@@ -634,15 +760,15 @@ async function fillMessage(page, message) {
   await waitFor(
     page,
     async () => {
-      const textarea = await findFirstVisible(page, 'textarea');
-      const editable = await findFirstVisible(page, '[contenteditable="true"]');
+      const textarea = await findFirstVisible(page, catalogSelector('messageTextarea'));
+      const editable = await findFirstVisible(page, catalogSelector('messageEditable'));
       return textarea !== null || editable !== null;
     },
     { timeoutMs: 10000 }
   );
 
   // Try textarea first
-  const textarea = await findFirstVisible(page, 'textarea');
+  const textarea = await findFirstVisible(page, catalogSelector('messageTextarea'));
   if (textarea) {
     console.log('[Automation] Step 5: Found textarea, filling...');
     await setNativeValue(page, textarea, message);
@@ -652,7 +778,7 @@ async function fillMessage(page, message) {
   }
 
   // Some Meta inputs use contenteditable divs
-  const editable = await findFirstVisible(page, '[contenteditable="true"]');
+  const editable = await findFirstVisible(page, catalogSelector('messageEditable'));
   if (!editable) {
     throw new AutomationError('Step 5: Could not find message input (textarea or contenteditable)');
   }
@@ -673,15 +799,194 @@ async function fillMessage(page, message) {
   console.log('[Automation] Step 5: ✓ Message filled successfully (contenteditable)');
 }
 
+/**
+ * Read the template picker's options
+ * Runs inside the page. Options render as the template name on the first line followed by
+ * its language, category and body preview.
+ */
+function parseTemplateOptions(optionSelector) {
+  const languagePattern = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+  return Array.from(document.querySelectorAll(optionSelector))
+    .map((option, index) => {
+      const style = window.getComputedStyle(option);
+      if (style.display === 'none' || style.visibility === 'hidden') return null;
+
+      const lines = (option.innerText || '')
+        .split('\n')
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+      if (lines.length === 0) return null;
+
+      const language = lines.slice(1).find((line) => languagePattern.test(line)) || null;
+      return {
+        index,
+        name: lines[0],
+        language,
+        preview: lines.slice(1).filter((line) => line !== language).join(' ') || null,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Open the dialog's template picker and wait for its options
+ * @returns {Promise<Array<Object>>} Parsed options (see parseTemplateOptions)
+ */
+async function openTemplatePicker(page, language) {
+  const dialog = await waitFor(
+    page,
+    async () => findFirstVisible(page, catalogSelector('dialog')),
+    { timeoutMs: 15000 }
+  );
+
+  const btn = await findByStrategies(page, 'openTemplatePicker', { dialog, language });
+  if (!btn) {
+    throw new AutomationError('Could not find the template picker in the dialog');
+  }
+  await clickElement(page, btn, 'Open template picker');
+
+  try {
+    return await waitFor(
+      page,
+      async () => {
+        const options = await page.evaluate(parseTemplateOptions, catalogSelector('templateOption'));
+        return options.length > 0 ? options : null;
+      },
+      { timeoutMs: TEMPLATE_PICKER_TIMEOUT_MS, intervalMs: 500 }
+    );
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    throw new AutomationError('Template picker did not list any templates');
+  }
+}
+
+/**
+ * Check a template's language code against a requested one
+ * Matches exactly ("en_US", "en-US") or by base language ("en" matches "en_US"). Templates
+ * without a language code never match.
+ * @param {string|null} templateLanguage - Language code shown in the picker
+ * @param {string} language - Requested language code
+ * @returns {boolean}
+ */
+export function matchesTemplateLanguage(templateLanguage, language) {
+  if (!templateLanguage) {
+    return false;
+  }
+  const normalize = (code) => code.trim().toLowerCase().replace(/-/g, '_');
+  const want = normalize(language);
+  const have = normalize(templateLanguage);
+  return have === want || have.startsWith(`${want}_`);
+}
+
+/**
+ * Check whether a template option is the requested template
+ * Names match case-insensitively; the language only has to match when given.
+ */
+function matchesTemplate(option, { name, language }) {
+  if (option.name.toLowerCase() !== name.toLowerCase()) {
+    return false;
+  }
+  return !language || matchesTemplateLanguage(option.language, language);
+}
+
+/**
+ * Pick a template by name and language in the new-conversation dialog
+ */
+async function selectTemplate(page, template, language) {
+  console.log(`[Automation] Step 5: Selecting template "${template.name}"${template.language ? ` (${template.language})` : ''}...`);
+  let options = await openTemplatePicker(page, language);
+
+  // Narrow long template lists down with the picker's search box when there is one
+  const search = await findFirstVisible(page, catalogSelector('templateSearchInput'));
+  if (search) {
+    await setNativeValue(page, search, template.name);
+    await sleep(800);
+    options = await page.evaluate(parseTemplateOptions, catalogSelector('templateOption'));
+  }
+
+  const match = options.find((option) => matchesTemplate(option, template));
+  if (!match) {
+    const available = options.map((option) => (option.language ? `${option.name} (${option.language})` : option.name));
+    throw new AutomationError(
+      `Step 5: Template "${template.name}"${template.language ? ` (${template.language})` : ''} not found`,
+      { available }
+    );
+  }
+
+  const optionHandles = await page.$$(catalogSelector('templateOption'));
+  await clickElement(page, optionHandles[match.index], 'Step 5: Select template');
+  await sleep(1000);
+  console.log(`[Automation] Step 5: ✓ Template "${match.name}" selected`);
+}
+
+/**
+ * Fill the selected template's variables
+ * Inputs labelled with their placeholder (e.g. "{{1}}", "{{customer_name}}") are filled by
+ * key; otherwise params "1", "2", ... are filled into the inputs in order.
+ * @returns {Promise<string|null>} Rendered template text from the dialog's preview, if shown
+ */
+async function fillTemplateParams(page, params) {
+  console.log('[Automation] Step 5: Filling template variables...');
+
+  const inputs = [];
+  for (const input of await page.$$(catalogSelector('templateVariableInput'))) {
+    if (await isVisible(page, input)) {
+      inputs.push(input);
+    }
+  }
+
+  const keys = [];
+  for (const input of inputs) {
+    const label = await input.evaluate((el) =>
+      [el.getAttribute('placeholder'), el.getAttribute('aria-label'), el.getAttribute('data-placeholder')].join(' ')
+    );
+    const key = label.match(/\{\{\s*([^}\s]+)\s*\}\}/);
+    keys.push(key ? key[1] : null);
+  }
+  if (keys.includes(null)) {
+    keys.splice(0, keys.length, ...inputs.map((input, index) => String(index + 1)));
+  }
+
+  const missing = keys.filter((key) => params[key] === undefined);
+  if (missing.length > 0) {
+    throw new AutomationError(
+      `Step 5: Missing templateParams for ${missing.map((key) => `{{${key}}}`).join(', ')}`,
+      { variables: keys }
+    );
+  }
+  const unused = Object.keys(params).filter((key) => !keys.includes(key));
+  if (unused.length > 0) {
+    console.warn(`[Automation] Step 5: Template has no variables for templateParams ${unused.join(', ')}`);
+  }
+
+  for (const [index, input] of inputs.entries()) {
+    const value = String(params[keys[index]]);
+    if (['INPUT', 'TEXTAREA'].includes(await input.evaluate((el) => el.tagName))) {
+      await setNativeValue(page, input, value);
+    } else {
+      await input.focus();
+      await page.keyboard.insertText(value);
+    }
+    await sleep(100);
+  }
+
+  const preview = await findFirstVisible(page, catalogSelector('templatePreview'));
+  const text = preview ? normalizeText(await preview.evaluate((el) => el.innerText || '')) : '';
+  console.log(`[Automation] Step 5: ✓ Filled ${inputs.length} template variable(s)`);
+  return text || null;
+}
+
 /**
  * Click Send Message button
  */
-async function clickSendMessage(page) {
+async function clickSendMessage(page, language) {
   console.log('[Automation] Step 6: Clicking "Send Message" button...');
   
   const dialog = await waitFor(
     page,
-    async () => findFirstVisible(page, '[role="dialog"]'),
+    async () => findFirstVisible(page, catalogSelector('dialog')),
     { timeoutMs: 15000 }
   );
 
@@ -689,20 +994,8 @@ async function clickSendMessage(page) {
     throw new AutomationError('Step 6: Dialog not found');
   }
 
-  // Find button with text "Send Message" or "Send message"
-  let btn = await findByText(page, {
-    root: dialog,
-    text: 'Send Message',
-    selector: '[role="button"],button,div[role="button"]',
-  });
-
-  if (!btn) {
-    btn = await findByText(page, {
-      root: dialog,
-      text: 'Send message',
-      selector: '[role="button"],button,div[role="button"]',
-    });
-  }
+  // Catalog strategies: button labelled "Send Message" / "Send message" inside the dialog
+  let btn = await findByStrategies(page, 'clickSendMessage', { dialog, language });
 
   // If we matched the inner label div, climb to its button container
   if (btn) {
@@ -729,21 +1022,641 @@ async function clickSendMessage(page) {
   console.log('[Automation] Step 6: ✓ "Send Message" button clicked');
 }
 
+/**
+ * Digits of a phone number, for comparing numbers written in different formats
+ */
+function phoneDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Phone numbers written in a piece of text, as digits
+ * Short runs such as a country code picker's "+1" are not numbers.
+ */
+function phoneNumbersIn(text) {
+  return (String(text || '').match(/\+?\d[\d\s().-]{5,}\d/g) || []).map(phoneDigits);
+}
+
+/**
+ * Check whether one of the numbers is the wanted one (given with or without its country code)
+ */
+function includesNumber(numbers, want) {
+  return numbers.some((number) => number === want || number.endsWith(want));
+}
+
+/**
+ * Describe the ids of a business asset for logs and errors
+ */
+function describeAsset({ businessId, assetId }) {
+  return [businessId && `business ${businessId}`, assetId && `asset ${assetId}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Make sure the inbox shows the requested business asset, switching to it if needed
+ * Meta silently opens its default asset when the cookies can't access the requested one,
+ * so the URL is checked again after navigating.
+ * @param {Page} page - Playwright page instance
+ * @param {Object} asset - {businessId?, assetId?}
+ */
+async function verifyAsset(page, asset) {
+  const wanted = describeAsset(asset);
+  if (isInboxOf(page.url(), asset)) {
+    console.log(`[Automation] Asset: ✓ Inbox shows ${wanted}`);
+    return;
+  }
+
+  console.log(`[Automation] Asset: Inbox shows a different asset, switching to ${wanted}...`);
+  await page.goto(buildInboxUrl(asset), { waitUntil: 'networkidle', timeout: 30000 });
+  await sleep(2000);
+
+  if (!isInboxOf(page.url(), asset)) {
+    throw new AutomationError(
+      `Inbox did not open ${wanted}, this session may not have access to it`,
+      { expected: { businessId: asset.businessId || null, assetId: asset.assetId || null }, active: parseInboxAsset(page.url()) }
+    );
+  }
+  console.log(`[Automation] Asset: ✓ Switched to ${wanted}`);
+}
+
+/**
+ * Pick the WhatsApp number to send from in the new-conversation dialog
+ * Accounts with several numbers show a picker holding the current number; accounts
+ * with a single number show it as plain text, if at all.
+ */
+async function selectSenderNumber(page, senderNumber) {
+  const want = phoneDigits(senderNumber);
+  console.log(`[Automation] Sender: Selecting sender number ${senderNumber}...`);
+
+  const dialog = await waitFor(
+    page,
+    async () => findFirstVisible(page, catalogSelector('dialog')),
+    { timeoutMs: 15000 }
+  );
+
+  // The sender picker shows a full number, the country code picker only a short "+1"
+  let picker = null;
+  let current = [];
+  for (const combo of await dialog.$$(catalogSelector('senderCombobox'))) {
+    if (!(await isVisible(page, combo))) continue;
+    const numbers = phoneNumbersIn(await combo.evaluate((el) => el.textContent || el.innerText || ''));
+    if (numbers.length > 0) {
+      picker = combo;
+      current = numbers;
+      break;
+    }
+  }
+
+  if (!picker) {
+    const shown = phoneNumbersIn(await dialog.evaluate((el) => el.innerText || el.textContent || ''));
+    if (includesNumber(shown, want)) {
+      console.log('[Automation] Sender: ✓ Dialog already sends from this number');
+      return;
+    }
+    throw new AutomationError(`Sender number ${senderNumber} is not offered in the dialog`, {
+      available: shown.map((number) => `+${number}`),
+    });
+  }
+
+  if (includesNumber(current, want)) {
+    console.log('[Automation] Sender: ✓ Number already selected');
+    return;
+  }
+
+  await clickElement(page, picker, 'Sender: Open picker');
+  let options;
+  try {
+    options = await waitFor(
+      page,
+      async () => {
+        const visible = [];
+        for (const option of await page.$$(catalogSelector('listboxOption'))) {
+          if (await isVisible(page, option)) visible.push(option);
+        }
+        return visible.length > 0 ? visible : null;
+      },
+      { timeoutMs: SENDER_PICKER_TIMEOUT_MS, intervalMs: 200 }
+    );
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    throw new AutomationError('Sender picker did not list any numbers');
+  }
+
+  const available = [];
+  for (const option of options) {
+    const numbers = phoneNumbersIn(await option.evaluate((el) => el.textContent || el.innerText || ''));
+    available.push(...numbers);
+    if (includesNumber(numbers, want)) {
+      await clickElement(page, option, 'Sender: Select number');
+      await sleep(500);
+      console.log(`[Automation] Sender: ✓ Selected +${numbers[0]}`);
+      return;
+    }
+  }
+
+  await page.keyboard.press('Escape');
+  throw new AutomationError(`Sender number ${senderNumber} is not connected to this WhatsApp account`, {
+    available: available.map((number) => `+${number}`),
+  });
+}
+
+/**
+ * Read the business asset switcher's options
+ * Runs inside the page. Options link to their asset's inbox, so the ids come from the link.
+ */
+function parseAssetOptions(optionSelector) {
+  return Array.from(document.querySelectorAll(optionSelector))
+    .map((option) => {
+      const style = window.getComputedStyle(option);
+      if (style.display === 'none' || style.visibility === 'hidden') return null;
+
+      const lines = (option.innerText || '')
+        .split('\n')
+        .map((line) => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+      if (lines.length === 0) return null;
+
+      let businessId = null;
+      let assetId = null;
+      const link = option.closest('a[href]') || option.querySelector('a[href]');
+      if (link) {
+        const url = new URL(link.href, window.location.href);
+        businessId = url.searchParams.get('business_id');
+        assetId = url.searchParams.get('asset_id');
+      }
+      return {
+        businessId,
+        assetId,
+        name: lines[0],
+        text: lines.join('\n'),
+        selected: option.getAttribute('aria-checked') === 'true' || option.getAttribute('aria-selected') === 'true',
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find the recipient's conversation in the rendered thread list
+ * Matches threadId when given, otherwise the number shown for the contact (with or
+ * without the country code). Only threads currently rendered in the list are searched.
+ * @returns {Promise<{index: number, thread: Object}|null>}
+ */
+async function findThread(page, { extension, phoneNumber, threadId }) {
+  const national = phoneDigits(phoneNumber).replace(/^0+/, '');
+  const full = `${phoneDigits(extension)}${national}`;
+  console.log(`[Automation] Thread: Looking for ${threadId ? `thread ${threadId}` : `a thread with +${full}`}...`);
+
+  let rows;
+  try {
+    rows = await waitFor(
+      page,
+      async () => {
+        const found = await page.evaluate(parseThreadRows, threadRowConfig());
+        return found.length > 0 ? found : null;
+      },
+      { timeoutMs: THREAD_LIST_TIMEOUT_MS, intervalMs: 500 }
+    );
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    console.warn('[Automation] Thread: Thread list did not render');
+    return null;
+  }
+
+  for (const row of rows) {
+    const thread = toThread(row);
+    if (threadId ? thread.threadId === threadId : row.channel === 'whatsapp' && [full, national].includes(phoneDigits(row.phoneNumber || row.name))) {
+      console.log(`[Automation] Thread: ✓ Found thread ${thread.threadId} (${thread.name})`);
+      return { index: row.index, thread };
+    }
+  }
+
+  console.log(`[Automation] Thread: No matching thread among ${rows.length} rendered thread(s)`);
+  return null;
+}
+
+/**
+ * Open a thread and wait for its composer
+ * @returns {Promise<ElementHandle|null>} The composer, or null if the conversation has none
+ *   (e.g. Meta only allows templates outside the 24-hour window)
+ */
+async function openThread(page, { index, thread }) {
+  console.log(`[Automation] Thread: Opening thread ${thread.threadId}...`);
+
+  const rows = await page.$$(catalogSelector('threadListItem'));
+  if (!rows[index]) {
+    throw new AutomationError(`Thread: Thread ${thread.threadId} is no longer in the thread list`);
+  }
+  await clickElement(page, rows[index], 'Thread: Open thread');
+
+  // The composer belongs to this conversation once the pane shows the contact
+  try {
+    const composer = await waitFor(
+      page,
+      async () => {
+        const paneText = await page.evaluate(
+          (sel) => (document.querySelector(sel)?.innerText || ''),
+          catalogSelector('messagePane')
+        );
+        if (thread.name && !paneText.includes(thread.name)) return null;
+        return findFirstVisible(page, catalogSelector('threadComposer'));
+      },
+      { timeoutMs: THREAD_OPEN_TIMEOUT_MS, intervalMs: 250 }
+    );
+    console.log('[Automation] Thread: ✓ Thread opened');
+    return composer;
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    console.warn(`[Automation] Thread: No message composer in thread ${thread.threadId}`);
+    return null;
+  }
+}
+
+/**
+ * Empty the open thread's composer (drops drafts and dry run text)
+ */
+async function clearComposer(page) {
+  const composer = await findFirstVisible(page, catalogSelector('threadComposer'));
+  if (!composer) return;
+
+  if ((await composer.evaluate((el) => el.tagName)) === 'TEXTAREA') {
+    await setNativeValue(page, composer, '');
+    return;
+  }
+  await composer.focus();
+  await page.keyboard.press('ControlOrMeta+A');
+  await page.keyboard.press('Backspace');
+  await sleep(100);
+}
+
+/**
+ * Check whether the open thread's composer still holds text
+ */
+async function composerHasText(page) {
+  return page.evaluate((sel) => {
+    return Array.from(document.querySelectorAll(sel)).some((el) => (el.value ?? el.innerText ?? '').trim() !== '');
+  }, catalogSelector('threadComposer'));
+}
+
+/**
+ * Type the message into the open thread's composer
+ */
+async function fillThreadMessage(page, composer, message) {
+  console.log('[Automation] Thread: Filling message...');
+  await clearComposer(page);
+
+  if ((await composer.evaluate((el) => el.tagName)) === 'TEXTAREA') {
+    await setNativeValue(page, composer, message);
+  } else {
+    // Rich text composers ignore direct textContent changes, insert through the keyboard instead
+    await composer.focus();
+    await page.keyboard.insertText(message);
+  }
+  await sleep(200);
+  console.log('[Automation] Thread: ✓ Message filled successfully');
+}
+
+/**
+ * Send the composed message (Enter sends in the inbox composer)
+ */
+async function sendThreadMessage(page, composer) {
+  console.log('[Automation] Thread: Sending message...');
+  await composer.focus();
+  await page.keyboard.press('Enter');
+  console.log('[Automation] Thread: ✓ Enter pressed');
+}
+
+/**
+ * Attach staged files to the message being composed
+ * Goes through the attach button's file chooser so Meta's upload handlers run, falling back
+ * to setting the files on a file input directly.
+ * @param {Page} page - Playwright page instance
+ * @param {Array<string>} files - Paths of the staged files
+ * @param {string|null} language - Label pack for the attach button
+ * @param {ElementHandle|null} root - Dialog (new number) or conversation pane (thread)
+ */
+async function attachFiles(page, files, language, root) {
+  console.log(`[Automation] Attaching ${files.length} file(s)...`);
+  const previewSelector = catalogSelector('attachmentPreview');
+  const countPreviews = () => page.evaluate((sel) => document.querySelectorAll(sel).length, previewSelector);
+  const previewsBefore = await countPreviews();
+
+  const button = await findByStrategies(page, 'openAttachmentPicker', { dialog: root, language });
+  if (button) {
+    const [chooser] = await Promise.all([
+      page.waitForEvent('filechooser', { timeout: FILE_CHOOSER_TIMEOUT_MS }),
+      clickElement(page, button, 'Attach files'),
+    ]);
+    if (files.length > 1 && !chooser.isMultiple()) {
+      throw new AutomationError(`Attach files: the file chooser only accepts one file, got ${files.length}`);
+    }
+    await chooser.setFiles(files);
+  } else {
+    console.log('[Automation] Attach button not found, using the file input directly');
+    const input = (root && (await root.$(catalogSelector('fileInput')))) || (await page.$(catalogSelector('fileInput')));
+    if (!input) {
+      throw new AutomationError('Attach files: Could not find an attach button or file input');
+    }
+    await input.setInputFiles(files);
+  }
+
+  // Uploads start right away; wait for their previews before sending
+  try {
+    await waitFor(page, async () => (await countPreviews()) >= previewsBefore + files.length, {
+      timeoutMs: ATTACHMENT_PREVIEW_TIMEOUT_MS,
+      intervalMs: 500,
+    });
+    console.log('[Automation] ✓ Files attached');
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    console.warn('[Automation] Attachment previews did not show up, continuing anyway');
+  }
+}
+
+/**
+ * Texts of the visible alert/toast banners
+ */
+function readBannerTexts(page) {
+  return page.evaluate((sel) => Array.from(document.querySelectorAll(sel))
+    .filter((el) => {
+      const style = window.getComputedStyle(el);
+      return style.display !== 'none' && style.visibility !== 'hidden';
+    })
+    .map((el) => (el.textContent || el.innerText || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean), catalogSelector('errorBanner'));
+}
+
+/**
+ * The open conversation (its selected_item_id) and its outgoing bubbles, oldest first
+ * @returns {Promise<{threadKey: string|null, outgoing: Array<string>|null}>} outgoing is null
+ *   when no conversation is showing
+ */
+async function readOutgoingBubbles(page) {
+  const bubbles = await page.evaluate(parseMessageBubbles, messagePaneConfig());
+  let threadKey = null;
+  try {
+    threadKey = new URL(page.url()).searchParams.get('selected_item_id');
+  } catch {
+    // Not a URL we can read, e.g. about:blank
+  }
+  return {
+    threadKey,
+    outgoing: bubbles ? bubbles.filter((bubble) => bubble.direction === 'outbound').map((bubble) => normalizeText(bubble.text)) : null,
+  };
+}
+
+/**
+ * Record what the page shows right before Send, so verifyDelivery only counts what the
+ * send added: bubbles past the current outgoing count and banners that weren't there yet
+ * @returns {Promise<{threadKey: string|null, outgoingCount: number|null, banners: Array<string>}>}
+ */
+async function readDeliveryBaseline(page) {
+  const { threadKey, outgoing } = await readOutgoingBubbles(page);
+  return {
+    threadKey,
+    outgoingCount: outgoing ? outgoing.length : null,
+    banners: await readBannerTexts(page),
+  };
+}
+
+/**
+ * Verify the message actually left after clicking Send
+ * Waits for the dialog to close (or, in a thread, the composer to empty) and a new outgoing
+ * bubble with the message to show up, watching for new Meta error banners/toasts along the way.
+ * @param {Page} page - Playwright page instance
+ * @param {string|null} message - Text that was sent
+ * @param {string|null} language - Label pack for the error keywords
+ * @param {string} path - 'new_number' | 'existing_thread'
+ * @param {Object} baseline - From readDeliveryBaseline(), taken before Send
+ * @returns {Promise<{status: 'verified'|'unverified'|'rejected', error: string|null}>}
+ */
+async function verifyDelivery(page, message, language, path, baseline) {
+  console.log('[Automation] Step 7: Verifying delivery...');
+
+  // A banner only counts if it showed up after Send and contains one of the catalog's error keywords
+  const errorKeywords = getLabelTexts('deliveryErrors', language).map((keyword) => keyword.toLowerCase());
+  const findErrorText = async () => {
+    const banner = (await readBannerTexts(page)).find((text) => (
+      !baseline.banners.includes(text) && errorKeywords.some((keyword) => text.toLowerCase().includes(keyword))
+    ));
+    return banner ? banner.substring(0, 300) : null;
+  };
+
+  // Phase 1: the dialog should close (the composer empty), unless Meta reports an error
+  const inThread = path === 'existing_thread';
+  const start = Date.now();
+  let submitted = false;
+  while (Date.now() - start < VERIFY_DIALOG_TIMEOUT_MS) {
+    const errorText = await findErrorText();
+    if (errorText) {
+      console.warn(`[Automation] Step 7: ✗ Meta reported an error: ${errorText}`);
+      return { status: 'rejected', error: errorText };
+    }
+    const pending = inThread
+      ? await composerHasText(page)
+      : await findFirstVisible(page, catalogSelector('dialog'));
+    if (!pending) {
+      submitted = true;
+      break;
+    }
+    await sleep(250);
+  }
+
+  if (!submitted) {
+    const error = inThread ? 'Message still in the composer after sending' : 'Dialog still open after clicking Send';
+    console.warn(`[Automation] Step 7: ${error}`);
+    return { status: 'unverified', error };
+  }
+
+  // Phase 2: a new outgoing bubble should show the message
+  const snippet = normalizeText(message).substring(0, 60);
+  if (!snippet) {
+    console.warn('[Automation] Step 7: Message text unknown (template without preview), bubble not checked');
+    return { status: 'unverified', error: 'Template text unknown, message bubble not checked' };
+  }
+  // Outgoing bubbles that were already there, per conversation. A conversation other than the
+  // one open before Send (the new-number dialog opens the recipient's) is counted when it first
+  // shows; if its only outgoing bubble is the message, it is a new conversation.
+  const earlierCounts = new Map();
+  if (baseline.outgoingCount !== null) {
+    earlierCounts.set(baseline.threadKey, baseline.outgoingCount);
+  }
+  let rejectedText = null;
+  try {
+    await waitFor(
+      page,
+      async () => {
+        rejectedText = await findErrorText();
+        if (rejectedText) return true;
+        const { threadKey, outgoing } = await readOutgoingBubbles(page);
+        if (!outgoing) return false;
+        if (!earlierCounts.has(threadKey)) {
+          earlierCounts.set(threadKey, outgoing.length === 1 && outgoing[0].includes(snippet) ? 0 : outgoing.length);
+        }
+        return outgoing.slice(earlierCounts.get(threadKey)).some((text) => text.includes(snippet));
+      },
+      { timeoutMs: VERIFY_BUBBLE_TIMEOUT_MS, intervalMs: 500 }
+    );
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    console.warn('[Automation] Step 7: Message submitted but no new outgoing bubble with it found');
+    return { status: 'unverified', error: 'No new outgoing message bubble found after sending' };
+  }
+
+  if (rejectedText) {
+    console.warn(`[Automation] Step 7: ✗ Meta reported an error: ${rejectedText}`);
+    return { status: 'rejected', error: rejectedText };
+  }
+
+  console.log('[Automation] Step 7: ✓ New outgoing message bubble found');
+  return { status: 'verified', error: null };
+}
+
+/**
+ * Close whatever dialog is open without sending
+ * Falls back to a page refresh if Escape doesn't dismiss it (e.g. a "discard message?" prompt)
+ */
+async function closeDialog(page) {
+  for (let i = 0; i < 3; i++) {
+    if (!(await findFirstVisible(page, catalogSelector('dialog')))) {
+      return;
+    }
+    await page.keyboard.press('Escape');
+    await sleep(500);
+  }
+
+  if (await findFirstVisible(page, catalogSelector('dialog'))) {
+    console.log('[Automation] Dialog did not close with Escape, refreshing page...');
+    await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
+    await sleep(2000);
+  }
+}
+
+/**
+ * Steps a dry run goes through for a send path and message
+ * @param {string} path - 'new_number' | 'existing_thread'
+ * @param {Object} shape - {hasFiles, hasTemplate, hasAsset, hasSender}
+ * @returns {Array<string>} Step names in order
+ */
+function dryRunSteps(path, { hasFiles = false, hasTemplate = false, hasAsset = false, hasSender = false } = {}) {
+  return DRY_RUN_STEPS[path].filter((name) => {
+    if (name === 'attachFiles') return hasFiles;
+    if (name === 'verifyAsset') return hasAsset;
+    if (name === 'selectSenderNumber') return hasSender;
+    if (name === 'fillMessage') return !hasTemplate;
+    if (TEMPLATE_STEPS.includes(name)) return hasTemplate;
+    return true;
+  });
+}
+
+/**
+ * Finish a dry run: capture the filled dialog or composer, discard it and report per-step results
+ * @param {Page} page - Playwright page instance
+ * @param {Object} [outcome] - {failure: {step, error} when a step failed, uiLanguage, path,
+ *   shape: {hasFiles, hasTemplate, hasAsset, hasSender} of the message (see dryRunSteps)}
+ * @returns {Promise<Object>} Dry run report
+ */
+async function finishDryRun(page, { failure = null, uiLanguage = null, path = 'new_number', shape = {} } = {}) {
+  const hasFiles = Boolean(shape.hasFiles);
+  const stepNames = dryRunSteps(path, shape);
+  const failedIndex = failure ? stepNames.indexOf(failure.step) : stepNames.length;
+  const steps = stepNames.map((name, index) => {
+    if (index < failedIndex) return { name, status: 'ok', error: null };
+    if (index === failedIndex) return { name, status: 'failed', error: failure.error.message };
+    return { name, status: 'skipped', error: null };
+  });
+
+  // Screenshot the filled dialog / conversation (or the whole page if neither is there)
+  let screenshot = null;
+  try {
+    const target = await findFirstVisible(page, catalogSelector(path === 'existing_thread' ? 'messagePane' : 'dialog'));
+    const image = target
+      ? await target.screenshot({ type: 'png' })
+      : await page.screenshot({ type: 'png' });
+    screenshot = `data:image/png;base64,${image.toString('base64')}`;
+  } catch (error) {
+    console.warn(`[Automation] Dry run: could not capture screenshot: ${error.message}`);
+  }
+
+  if (path === 'existing_thread') {
+    await clearComposer(page);
+    // Attached files have no reliable remove button, drop them with a fresh page
+    if (hasFiles) {
+      await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
+      await sleep(2000);
+    }
+  } else {
+    await closeDialog(page);
+  }
+  console.log(`[Automation] Dry run finished, message discarded without sending (${failure ? `failed at ${failure.step}` : 'all steps ok'})`);
+
+  return {
+    dryRun: true,
+    valid: !failure,
+    path,
+    uiLanguage,
+    steps,
+    screenshot,
+  };
+}
+
 /**
  * Main automation flow - send WhatsApp message
  * @param {Page} page - Playwright page instance
- * @param {Object} options - {extension, phoneNumber, message}
+ * @param {Object} options - {extension, phoneNumber, message, country?, threadId?, files?,
+ *   template?, templateParams?, asset?} where extension is the calling code, country the
+ *   recipient's ISO code (picks the dropdown entry for shared codes like +1), files are paths of staged attachments, template {name, language?}
+ *   replaces the free-text message (new_number path only) and asset {businessId?, assetId?,
+ *   senderNumber?} is the business asset to send from (the sender number is picked on the
+ *   new_number path only, replies go out from the number the conversation is on)
+ * @param {Object} [flags] - {reload, dryRun, sendPath}
+ *   reload=false skips the page refresh when the previous send on this page finished cleanly
+ *   (the page is still reloaded if a dialog is open).
+ *   dryRun=true fills the dialog, screenshots it and closes it instead of clicking Send.
+ *   sendPath: 'new_number' (default) always starts from "New WhatsApp number",
+ *   'existing_thread' replies in the recipient's thread (threadId, or found by phone number),
+ *   'auto' replies in the thread if there is one and falls back to 'new_number' otherwise.
+ *   extension and phoneNumber may be omitted when a threadId is given (no fallback then).
+ * @throws {AutomationError|ThreadNotFoundError} With `step` (AutomationError) and `path` set
+ * @returns {Promise<Object>} {delivery, uiLanguage, path, asset} with the delivery verification
+ *   result, the detected inbox language, the send path used and the asset ids of the inbox the
+ *   message went out from, or the dry run report
+ *   {dryRun, valid, path, uiLanguage, steps, screenshot}
  */
-export async function sendMessage(page, { extension, phoneNumber, message }) {
-  if (!extension || !phoneNumber || !message) {
-    throw new AutomationError('Missing required fields: extension, phoneNumber, message');
+export async function sendMessage(page, { extension, phoneNumber, message, country = null, threadId = null, files = [], template = null, templateParams = {}, asset = null }, { reload = true, dryRun = false, sendPath = 'new_number' } = {}) {
+  // Replies by threadId can go without the recipient's number
+  const hasNumber = Boolean(extension && phoneNumber);
+  if (!(hasNumber || (threadId && sendPath !== 'new_number')) || !(message || template)) {
+    throw new AutomationError('Missing required fields: extension, phoneNumber (or threadId), message');
+  }
+  if (template && sendPath !== 'new_number') {
+    throw new AutomationError('Templates can only be sent on the new_number path');
   }
 
   console.log('[Automation] ========================================');
-  console.log('[Automation] Starting WhatsApp message automation');
-  console.log(`[Automation] Extension: ${extension}`);
-  console.log(`[Automation] Phone: ${phoneNumber}`);
-  console.log(`[Automation] Message: ${message}`);
+  console.log(`[Automation] Starting WhatsApp message automation${dryRun ? ' (dry run)' : ''}`);
+  if (hasNumber) {
+    console.log(`[Automation] Extension: ${extension}`);
+    console.log(`[Automation] Phone: ${phoneNumber}`);
+  }
+  console.log(template
+    ? `[Automation] Template: ${template.name}${template.language ? ` (${template.language})` : ''}`
+    : `[Automation] Message: ${message}`);
+  console.log(`[Automation] Send path: ${sendPath}${threadId ? ` (thread ${threadId})` : ''}`);
+  if (files.length > 0) {
+    console.log(`[Automation] Attachments: ${files.length} file(s)`);
+  }
+  if (asset) {
+    console.log(`[Automation] Asset: ${[describeAsset(asset), asset.senderNumber && `sender ${asset.senderNumber}`].filter(Boolean).join(', ') || 'default'}`);
+  }
   
   // Verify we're on the right page
   const currentUrl = page.url();
@@ -753,53 +1666,165 @@ export async function sendMessage(page, { extension, phoneNumber, message }) {
   }
   
   // Refresh page to ensure clean state (especially if previous automation failed)
-  console.log('[Automation] Refreshing page to ensure clean state...');
-  await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
-  await sleep(2000); // Wait for page to fully load
-  console.log('[Automation] ✓ Page refreshed');
+  const leftoverDialog = reload ? null : await findFirstVisible(page, catalogSelector('dialog'));
+  if (reload || leftoverDialog) {
+    console.log('[Automation] Refreshing page to ensure clean state...');
+    await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
+    await sleep(2000); // Wait for page to fully load
+    console.log('[Automation] ✓ Page refreshed');
+  } else {
+    console.log('[Automation] Skipping page refresh, previous send left a clean state');
+  }
+
+  // Match button texts in the inbox's language, or try every language pack if it is unknown
+  const language = await detectUiLanguage(page);
+  console.log(`[Automation] Inbox UI language: ${language || 'unknown, trying all language packs'}`);
   console.log('[Automation] ========================================');
 
+  // Track the running step and send path so failures can report where they happened
+  let step = null;
+  let path = 'new_number';
+  const hasFiles = files.length > 0;
+  const shape = {
+    hasFiles,
+    hasTemplate: Boolean(template),
+    hasAsset: Boolean(asset?.businessId || asset?.assetId),
+    hasSender: Boolean(asset?.senderNumber),
+  };
+  // Text to look for in the inbox after sending (a template's rendered preview, if shown)
+  let sentText = message;
+  // Outgoing bubbles and banners already on the page before Send (see verifyDelivery)
+  let deliveryBaseline = null;
+
   try {
-    // Step 1: Open WhatsApp modal
-    await openWhatsappModal(page);
+    if (shape.hasAsset) {
+      step = 'verifyAsset';
+      await verifyAsset(page, asset);
+    }
 
-    // Step 2: Click "New WhatsApp number"
-    await clickNewWhatsappNumber(page);
+    if (sendPath !== 'new_number') {
+      path = 'existing_thread';
+      step = 'findThread';
+      const match = await findThread(page, { extension, phoneNumber, threadId });
 
-    // Step 3: Select extension
-    await selectExtension(page, extension);
+      let composer = null;
+      if (match) {
+        step = 'openThread';
+        composer = await openThread(page, match);
+      }
 
-    // Step 4: Fill phone number
-    await fillPhoneNumber(page, phoneNumber);
+      // Without a number there is nothing to fall back to
+      if (!composer && (sendPath === 'existing_thread' || !hasNumber)) {
+        if (!match) {
+          throw new ThreadNotFoundError(threadId || `+${phoneDigits(extension)}${phoneDigits(phoneNumber)}`);
+        }
+        throw new AutomationError(`Thread ${match.thread.threadId} has no message composer (outside the 24-hour window?)`);
+      }
 
-    // Step 5: Fill message
-    await fillMessage(page, message);
+      if (composer) {
+        step = 'fillThreadMessage';
+        await fillThreadMessage(page, composer, message);
 
-    // Step 6: Click Send message (screenshot will be taken, but click is disabled inside function)
-    await clickSendMessage(page);
+        if (hasFiles) {
+          step = 'attachFiles';
+          await attachFiles(page, files, language, await findFirstVisible(page, catalogSelector('messagePane')));
+        }
+
+        if (dryRun) {
+          step = 'finishDryRun';
+          return await finishDryRun(page, { uiLanguage: language, path, shape });
+        }
+
+        step = 'sendThreadMessage';
+        deliveryBaseline = await readDeliveryBaseline(page);
+        await sendThreadMessage(page, composer);
+      } else {
+        console.log('[Automation] No thread to reply in, falling back to "New WhatsApp number"');
+        path = 'new_number';
+      }
+    }
+
+    if (path === 'new_number') {
+      // Step 1: Open WhatsApp modal
+      step = 'openWhatsappModal';
+      await openWhatsappModal(page, language);
+
+      // Step 2: Click "New WhatsApp number"
+      step = 'clickNewWhatsappNumber';
+      await clickNewWhatsappNumber(page, language);
+
+      // Step 2b: Pick the number to send from
+      if (shape.hasSender) {
+        step = 'selectSenderNumber';
+        await selectSenderNumber(page, asset.senderNumber);
+      }
+
+      // Step 3: Select extension
+      step = 'selectExtension';
+      await selectExtension(page, extension, country);
+
+      // Step 4: Fill phone number
+      step = 'fillPhoneNumber';
+      await fillPhoneNumber(page, phoneNumber);
+
+      if (template) {
+        // Step 5: Pick the template and fill its variables
+        step = 'selectTemplate';
+        await selectTemplate(page, template, language);
+        step = 'fillTemplateParams';
+        sentText = await fillTemplateParams(page, templateParams);
+      } else {
+        // Step 5: Fill message
+        step = 'fillMessage';
+        await fillMessage(page, message);
+      }
+
+      // Step 5b: Attach files
+      if (hasFiles) {
+        step = 'attachFiles';
+        await attachFiles(page, files, language, await findFirstVisible(page, catalogSelector('dialog')));
+      }
+
+      if (dryRun) {
+        step = 'finishDryRun';
+        return await finishDryRun(page, { uiLanguage: language, path, shape });
+      }
+
+      // Step 6: Click Send message (screenshot will be taken, but click is disabled inside function)
+      step = 'clickSendMessage';
+      deliveryBaseline = await readDeliveryBaseline(page);
+      await clickSendMessage(page, language);
+    }
+
+    // Step 7: Confirm the message left (clicking Send alone proves nothing)
+    step = 'verifyDelivery';
+    const delivery = await verifyDelivery(page, sentText, language, path, deliveryBaseline);
+    if (delivery.status === 'rejected') {
+      throw new AutomationError(`Step 7: Meta rejected the message: ${delivery.error}`, { delivery }, step);
+    }
 
-    // Give the UI a short moment for send to process
-    await sleep(800);
     console.log('[Automation] ========================================');
-    console.log('[Automation] ✓ Automation completed successfully');
+    console.log(`[Automation] ✓ Automation completed successfully via ${path} (delivery ${delivery.status})`);
     console.log('[Automation] ========================================');
+    return { delivery, uiLanguage: language, path, asset: parseInboxAsset(page.url()) };
   } catch (error) {
     console.error('[Automation] ========================================');
     console.error('[Automation] ✗ Automation failed');
+    console.error(`[Automation] Failed step: ${step}`);
     console.error(`[Automation] Error: ${error.message}`);
     
     // Log page state on failure
     try {
-      const pageState = await page.evaluate(() => ({
+      const pageState = await page.evaluate((dialogSelector) => ({
         url: window.location.href,
         title: document.title,
-        hasDialog: !!document.querySelector('[role="dialog"]'),
-        dialogCount: document.querySelectorAll('[role="dialog"]').length,
+        hasDialog: !!document.querySelector(dialogSelector),
+        dialogCount: document.querySelectorAll(dialogSelector).length,
         visibleButtons: Array.from(document.querySelectorAll('[role="button"], button')).filter(btn => {
           const style = window.getComputedStyle(btn);
           return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
         }).length,
-      }));
+      }), catalogSelector('dialog'));
       console.error('[Automation] Page state on failure:', JSON.stringify(pageState, null, 2));
       
     } catch (stateError) {
@@ -807,10 +1832,104 @@ export async function sendMessage(page, { extension, phoneNumber, message }) {
     }
     
     console.error('[Automation] ========================================');
+
+    // A dry run reports the failed step instead of failing, unless the browser is gone
+    if (dryRun && dryRunSteps(path, shape).includes(step) && !page.isClosed()) {
+      return finishDryRun(page, { failure: { step, error }, uiLanguage: language, path, shape });
+    }
+
+    // The path is recorded with the failure in the message history
+    if (error instanceof ThreadNotFoundError) {
+      error.path = path;
+      throw error;
+    }
     if (error instanceof AutomationError) {
+      error.step = error.step || step;
+      error.path = path;
       throw error;
     }
-    throw new AutomationError(`Automation failed: ${error.message}`, error);
+    const failure = new AutomationError(`Automation failed: ${error.message}`, error, step);
+    failure.path = path;
+    throw failure;
   }
 }
 
+
+/**
+ * List the WhatsApp templates offered in the new-conversation dialog
+ * Opens the dialog and its template picker, reads the options and closes the dialog again.
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<Array<{name: string, language: string|null, preview: string|null}>>}
+ */
+export async function readTemplates(page) {
+  console.log('[Automation] Reading WhatsApp templates...');
+  await closeDialog(page);
+  const language = await detectUiLanguage(page);
+
+  try {
+    await openWhatsappModal(page, language);
+    await clickNewWhatsappNumber(page, language);
+    const options = await openTemplatePicker(page, language);
+    console.log(`[Automation] ✓ Found ${options.length} template(s)`);
+    return options.map(({ index, ...template }) => template);
+  } finally {
+    await closeDialog(page);
+  }
+}
+
+/**
+ * List the business assets offered by the inbox's asset switcher
+ * Opens the switcher, reads its options and closes it again.
+ * @param {Page} page - Playwright page instance
+ * @returns {Promise<Array<{businessId: string|null, assetId: string|null, name: string,
+ *   whatsappNumbers: Array<string>, active: boolean}>>}
+ */
+export async function readAssets(page) {
+  console.log('[Automation] Reading business assets...');
+  await closeDialog(page);
+  const language = await detectUiLanguage(page);
+  const active = parseInboxAsset(page.url());
+
+  const btn = await findByStrategies(page, 'openAssetSwitcher', { language });
+  if (!btn) {
+    throw new AutomationError('Could not find the business asset switcher');
+  }
+  await clickElement(page, btn, 'Open asset switcher');
+
+  try {
+    const options = await waitFor(
+      page,
+      async () => {
+        const found = await page.evaluate(parseAssetOptions, catalogSelector('assetOption'));
+        return found.length > 0 ? found : null;
+      },
+      { timeoutMs: ASSET_SWITCHER_TIMEOUT_MS, intervalMs: 500 }
+    );
+
+    // The same asset can show up under several headings
+    const seen = new Set();
+    const assets = options
+      .filter((option) => {
+        const key = option.assetId || option.name;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(({ businessId, assetId, name, text, selected }) => ({
+        businessId,
+        assetId,
+        name,
+        whatsappNumbers: phoneNumbersIn(text).map((number) => `+${number}`),
+        active: selected || Boolean(assetId && assetId === active.assetId),
+      }));
+    console.log(`[Automation] ✓ Found ${assets.length} business asset(s)`);
+    return assets;
+  } catch (error) {
+    if (!(error instanceof AutomationError)) {
+      throw error;
+    }
+    throw new AutomationError('Business asset switcher did not list any assets');
+  } finally {
+    await page.keyboard.press('Escape').catch(() => {});
+  }
+}
@@ -3,7 +3,8 @@
  */
 
 import { chromium } from 'playwright';
-import { generateFingerprint } from '../utils/fingerprint.js';
+import { generateFingerprint, languagesForLocale } from '../utils/fingerprint.js';
+import { openPooledContext } from './browserPool.js';
 import { config } from '../config.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,31 +14,30 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Create a browser instance with unique fingerprint and persistent context
+ * With BROWSER_POOL=true the context is opened on a shared browser instead, and `browser` is a
+ * handle whose close() only closes this session's context (see browserPool.js).
  * @param {string} sessionId - Unique session identifier
  * @param {Object} [existingFingerprint] - Optional fingerprint to reuse (for session recreation)
  * @param {Object} [proxy] - Optional proxy configuration {server, username?, password?}
+ * @param {Object} [localeSettings] - Optional {locale, timezoneId} for a new fingerprint
  * @returns {Promise<{browser: Browser, context: BrowserContext, page: Page, fingerprint: Object}>}
  */
-export async function createBrowser(sessionId, existingFingerprint = null, proxy = null) {
-  const fingerprint = existingFingerprint || generateFingerprint();
+export async function createBrowser(sessionId, existingFingerprint = null, proxy = null, localeSettings = {}) {
+  const fingerprint = existingFingerprint || generateFingerprint(localeSettings);
+  // Fingerprints saved before locales were configurable have no languages list
+  const languages = fingerprint.languages || languagesForLocale(fingerprint.locale);
   const userDataDir = path.join(__dirname, '../../profiles', `session-${sessionId}`);
 
-  // Launch browser
-  const browser = await chromium.launch({
-    headless: config.browser.headless,
-    args: config.browser.args,
-  });
-
   // Build context options
   const contextOptions = {
     userDataDir,
     viewport: fingerprint.viewport,
-    locale: fingerprint.locale, // Fixed to en-US
-    timezoneId: fingerprint.timezoneId, // Fixed to America/New_York
+    locale: fingerprint.locale,
+    timezoneId: fingerprint.timezoneId,
     userAgent: fingerprint.userAgent,
     // Override navigator properties via CDP
     extraHTTPHeaders: {
-      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Language': languages.map((lang, i) => (i === 0 ? lang : `${lang};q=0.9`)).join(','),
     },
   };
 
@@ -58,11 +58,47 @@ export async function createBrowser(sessionId, existingFingerprint = null, proxy
     console.log(`[BrowserFactory] No proxy configured`);
   }
 
-  // Create persistent context with fingerprint
-  const context = await browser.newContext(contextOptions);
+  // Create persistent context with fingerprint, in a browser of its own or a shared one
+  let browser;
+  let context;
+  if (config.browser.pool.enabled) {
+    ({ browser, context } = await openPooledContext(sessionId, contextOptions));
+  } else {
+    browser = await chromium.launch({
+      headless: config.browser.headless,
+      args: config.browser.args,
+    });
+    try {
+      context = await browser.newContext(contextOptions);
+    } catch (error) {
+      await browser.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  let page;
+  try {
+    page = await setupPage(context, fingerprint, languages);
+  } catch (error) {
+    await browser.close().catch(() => {});
+    throw error;
+  }
+
+  return {
+    browser,
+    context,
+    page,
+    fingerprint,
+  };
+}
 
+/**
+ * Install the fingerprint overrides on a context and open its page
+ * @returns {Promise<Page>}
+ */
+async function setupPage(context, fingerprint, languages) {
   // Override navigator and other properties to create unique fingerprint
-  await context.addInitScript((fingerprint) => {
+  await context.addInitScript(({ fingerprint, languages }) => {
     // Override navigator properties
     Object.defineProperty(navigator, 'platform', {
       get: () => fingerprint.platform,
@@ -85,7 +121,7 @@ export async function createBrowser(sessionId, existingFingerprint = null, proxy
 
     // Override languages
     Object.defineProperty(navigator, 'languages', {
-      get: () => ['en-US', 'en'],
+      get: () => languages,
       configurable: true,
     });
 
@@ -139,16 +175,9 @@ export async function createBrowser(sessionId, existingFingerprint = null, proxy
       csi: function () {},
       app: {},
     };
-  }, fingerprint);
+  }, { fingerprint, languages });
 
   // Create a new page
-  const page = await context.newPage();
-
-  return {
-    browser,
-    context,
-    page,
-    fingerprint,
-  };
+  return context.newPage();
 }
 
@@ -0,0 +1,149 @@
+/**
+ * Browser Pool - hosts sessions as isolated contexts of a few shared browser processes
+ * Used when BROWSER_POOL=true. Each session still gets its own context (cookies, storage,
+ * fingerprint, proxy); only the Chromium process is shared.
+ */
+
+import { EventEmitter } from 'events';
+import { chromium } from 'playwright';
+import { config } from '../config.js';
+
+// Shared browsers: {id, browser, slots: Set<{sessionId, release}>, launchedAt}
+const pool = [];
+let nextBrowserNumber = 1;
+
+// One launch at a time, so sessions created together fill the new browser instead of
+// each launching their own
+let launching = null;
+
+/**
+ * Launch a shared browser and add it to the pool
+ */
+async function launchPooledBrowser() {
+  const browser = await chromium.launch({
+    headless: config.browser.headless,
+    args: config.browser.args,
+  });
+  const entry = { id: `browser-${nextBrowserNumber++}`, browser, slots: new Set(), launchedAt: Date.now() };
+
+  // Every session on a dead browser is released; their recovery relaunches them on the
+  // remaining browsers (or a new one)
+  browser.on('disconnected', () => {
+    removeFromPool(entry);
+    if (entry.slots.size > 0) {
+      console.warn(`[BrowserPool] ${entry.id} disconnected, moving ${entry.slots.size} session(s) to other browsers`);
+    }
+    for (const slot of [...entry.slots]) {
+      slot.release?.();
+    }
+  });
+
+  pool.push(entry);
+  console.log(`[BrowserPool] Launched ${entry.id} (${pool.length} browser(s) in the pool)`);
+  return entry;
+}
+
+function removeFromPool(entry) {
+  const index = pool.indexOf(entry);
+  if (index !== -1) {
+    pool.splice(index, 1);
+  }
+}
+
+/**
+ * Reserve a context slot on the least loaded browser with room, launching a browser when
+ * all of them are full
+ */
+async function reserveSlot(sessionId) {
+  for (;;) {
+    const available = pool.filter((entry) => (
+      entry.browser.isConnected() && entry.slots.size < config.browser.pool.contextsPerBrowser
+    ));
+    if (available.length > 0) {
+      const entry = available.reduce((least, candidate) => (candidate.slots.size < least.slots.size ? candidate : least));
+      const slot = { sessionId, release: null };
+      entry.slots.add(slot);
+      return { entry, slot };
+    }
+
+    if (!launching) {
+      launching = launchPooledBrowser().finally(() => {
+        launching = null;
+      });
+    }
+    await launching;
+  }
+}
+
+/**
+ * Give a slot back, closing the browser once its last session is gone
+ */
+function releaseSlot(entry, slot) {
+  entry.slots.delete(slot);
+  if (entry.slots.size === 0 && pool.includes(entry)) {
+    removeFromPool(entry);
+    console.log(`[BrowserPool] Closing idle ${entry.id}`);
+    entry.browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Open a context for a session on a shared browser
+ * @param {string} sessionId - Session ID (for logs)
+ * @param {Object} contextOptions - Options for browser.newContext (fingerprint, proxy)
+ * @returns {Promise<{browser: EventEmitter, context: BrowserContext}>} The context, and a handle
+ *   standing in for the session's browser: `isConnected()`, `close()` (closes only this
+ *   session's context) and a 'disconnected' event when the context or its browser goes away
+ */
+export async function openPooledContext(sessionId, contextOptions) {
+  const { entry, slot } = await reserveSlot(sessionId);
+
+  let context;
+  try {
+    context = await entry.browser.newContext(contextOptions);
+  } catch (error) {
+    releaseSlot(entry, slot);
+    throw error;
+  }
+
+  const handle = new EventEmitter();
+  let closed = false;
+  slot.release = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    releaseSlot(entry, slot);
+    handle.emit('disconnected');
+  };
+  context.on('close', slot.release);
+
+  handle.id = entry.id;
+  handle.isConnected = () => !closed && entry.browser.isConnected();
+  handle.close = async () => {
+    await context.close().catch(() => {});
+    slot.release();
+  };
+
+  console.log(`[BrowserPool] Session ${sessionId} opened on ${entry.id} (${entry.slots.size}/${config.browser.pool.contextsPerBrowser} contexts)`);
+  return { browser: handle, context };
+}
+
+/**
+ * Pool usage, for the health endpoint
+ * @returns {Object|null} {contextsPerBrowser, browsers: [{id, contexts, launchedAt}]}, or null
+ *   when pooling is off
+ */
+export function getPoolStatus() {
+  if (!config.browser.pool.enabled) {
+    return null;
+  }
+  return {
+    contextsPerBrowser: config.browser.pool.contextsPerBrowser,
+    browsers: pool.map((entry) => ({
+      id: entry.id,
+      contexts: entry.slots.size,
+      launchedAt: entry.launchedAt,
+    })),
+  };
+}
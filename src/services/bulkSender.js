@@ -0,0 +1,286 @@
+/**
+ * Bulk Sender - sends a batch of messages through one session with pacing
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { assertSessionHealthy, sendMessageForSession } from './sessionManager.js';
+import { enqueueJob, cancelJob } from './jobQueue.js';
+import { BatchNotFoundError, BrowserCrashError, JobConflictError, SessionNotFoundError, SessionUnhealthyError } from '../errors.js';
+import { parsePhoneNumber } from '../utils/phone.js';
+import { config } from '../config.js';
+
+// All known batches (queued, running and recently finished)
+const batches = new Map();
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Forget a finished batch once the job retention window has passed
+ */
+function scheduleCleanup(batch) {
+  const timer = setTimeout(() => {
+    batches.delete(batch.batchId);
+  }, config.jobs.retentionMs);
+  timer.unref();
+}
+
+/**
+ * Validate bulk rows before anything is queued
+ * Each row names its recipient like a single send: `to`, or phoneNumber with country or extension.
+ * @param {Array} rows - Rows of {to?, country?, extension?, phoneNumber?, message}
+ * @returns {{rows: Array<Object>, errors: Array<{row: number, error: string}>}} Rows normalized
+ *   to {extension (calling code), phoneNumber (national number), country (ISO code), to (E.164),
+ *   message}, and validation errors (empty when valid)
+ */
+export function parseBulkRows(rows) {
+  const errors = [];
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { rows: [], errors: [{ row: null, error: 'Expected a non-empty list of rows' }] };
+  }
+  if (rows.length > config.bulk.maxRows) {
+    return { rows: [], errors: [{ row: null, error: `Too many rows: ${rows.length} (max ${config.bulk.maxRows})` }] };
+  }
+
+  const parsed = rows.map((row, index) => {
+    if (!row || typeof row !== 'object') {
+      errors.push({ row: index, error: 'Row must be an object' });
+      return null;
+    }
+    const { message } = row;
+    if (!message || typeof message !== 'string') {
+      errors.push({ row: index, error: 'Missing required field: message (a string)' });
+      return null;
+    }
+    const recipient = parsePhoneNumber(row);
+    if (!recipient.valid) {
+      errors.push({ row: index, error: recipient.error });
+      return null;
+    }
+    return {
+      extension: recipient.callingCode,
+      phoneNumber: recipient.nationalNumber,
+      country: recipient.country.iso,
+      to: recipient.e164,
+      message,
+    };
+  });
+
+  return { rows: parsed, errors };
+}
+
+/**
+ * Send every row of a batch in order, pausing between sends
+ */
+async function runBatch(batch, rows) {
+  batch.status = 'running';
+  batch.startedAt = Date.now();
+  console.log(`[BulkSender] Starting batch ${batch.batchId} (${rows.length} rows) for session ${batch.sessionId}`);
+
+  // Only the first send (and sends after a failure) need a page refresh
+  let needsReload = true;
+
+  for (let i = 0; i < rows.length; i++) {
+    const result = batch.rows[i];
+
+    if (batch.cancelRequested) {
+      result.status = 'cancelled';
+      continue;
+    }
+
+    if (i > 0) {
+      const jitter = Math.floor(Math.random() * (batch.pacing.jitterMs + 1));
+      await sleep(batch.pacing.delayMs + jitter);
+      if (batch.cancelRequested) {
+        result.status = 'cancelled';
+        continue;
+      }
+    }
+
+    result.status = 'sending';
+    result.startedAt = Date.now();
+    try {
+      const { extension, phoneNumber, country, message } = rows[i];
+      const { delivery } = await sendMessageForSession(
+        batch.sessionId,
+        { extension, phoneNumber, country, message },
+        { jobId: batch.jobId, batchId: batch.batchId, reload: needsReload }
+      );
+      result.status = 'sent';
+      result.delivery = delivery.status;
+      needsReload = false;
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+      result.step = error.step || null;
+      result.artifactId = error.details?.artifactId || null;
+      needsReload = true;
+
+      // Without a browser or a logged-in page the remaining rows can't be sent
+      if (error instanceof BrowserCrashError || error instanceof SessionNotFoundError || error instanceof SessionUnhealthyError) {
+        batch.error = error.message;
+        for (const remaining of batch.rows.slice(i + 1)) {
+          remaining.status = 'skipped';
+        }
+        break;
+      }
+    } finally {
+      result.finishedAt = Date.now();
+    }
+  }
+
+  if (batch.error) {
+    batch.status = 'failed';
+  } else {
+    batch.status = batch.cancelRequested ? 'cancelled' : 'completed';
+  }
+  batch.finishedAt = Date.now();
+  scheduleCleanup(batch);
+
+  const summary = serializeBatch(batch, { includeRows: false });
+  console.log(`[BulkSender] ✓ Batch ${batch.batchId} ${batch.status}: ${JSON.stringify(summary.counts)}`);
+  return summary;
+}
+
+/**
+ * Record that a batch was cancelled before it started (no row was attempted)
+ */
+function markQueuedBatchCancelled(batch) {
+  if (batch.status !== 'queued') {
+    return;
+  }
+  batch.status = 'cancelled';
+  batch.finishedAt = Date.now();
+  for (const row of batch.rows) {
+    row.status = 'cancelled';
+  }
+  scheduleCleanup(batch);
+}
+
+/**
+ * Queue a batch of messages for a session
+ * The whole batch runs as a single job so it keeps the page between sends.
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} rows - Rows from parseBulkRows
+ * @param {Object} [pacing] - {delayMs, jitterMs} pause between sends
+ * @returns {Object} Batch record
+ */
+export function queueBatchForSession(sessionId, rows, { delayMs, jitterMs } = {}) {
+  // Fail fast for unknown or unhealthy sessions instead of queueing a batch that can never run
+  assertSessionHealthy(sessionId);
+
+  const batch = {
+    batchId: uuidv4(),
+    sessionId,
+    jobId: null,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    pacing: {
+      delayMs: delayMs ?? config.bulk.delayMs,
+      jitterMs: jitterMs ?? config.bulk.jitterMs,
+    },
+    cancelRequested: false,
+    error: null,
+    rows: rows.map((row, index) => ({
+      index,
+      to: row.to,
+      extension: row.extension,
+      phoneNumber: row.phoneNumber,
+      status: 'pending',
+      delivery: null,
+      error: null,
+      step: null,
+      artifactId: null,
+      startedAt: null,
+      finishedAt: null,
+    })),
+  };
+  batches.set(batch.batchId, batch);
+
+  const job = enqueueJob(sessionId, 'send-bulk', () => runBatch(batch, rows));
+  batch.jobId = job.jobId;
+
+  // The job can also be cancelled through the jobs API or by destroying the session
+  job.promise.catch(() => {
+    if (job.status === 'cancelled') {
+      markQueuedBatchCancelled(batch);
+    }
+  });
+
+  return batch;
+}
+
+/**
+ * Get a batch belonging to a session
+ * @param {string} sessionId - Session ID
+ * @param {string} batchId - Batch ID
+ * @returns {Object} Batch record
+ */
+export function getBatch(sessionId, batchId) {
+  const batch = batches.get(batchId);
+  if (!batch || batch.sessionId !== sessionId) {
+    throw new BatchNotFoundError(batchId);
+  }
+  return batch;
+}
+
+/**
+ * Cancel a batch: a queued batch is dropped, a running batch stops after the current row
+ * @param {string} sessionId - Session ID
+ * @param {string} batchId - Batch ID
+ * @returns {Object} Batch record
+ */
+export function cancelBatch(sessionId, batchId) {
+  const batch = getBatch(sessionId, batchId);
+
+  if (batch.status === 'queued') {
+    cancelJob(sessionId, batch.jobId);
+    markQueuedBatchCancelled(batch);
+  } else if (batch.status === 'running') {
+    batch.cancelRequested = true;
+  } else {
+    throw new JobConflictError(`Batch ${batchId} is ${batch.status} and can no longer be cancelled`);
+  }
+
+  console.log(`[BulkSender] Cancellation requested for batch ${batchId}`);
+  return batch;
+}
+
+/**
+ * Public representation of a batch for API responses
+ * @param {Object} batch - Batch record
+ * @param {Object} [options] - {includeRows}
+ * @returns {Object} Serializable batch info
+ */
+export function serializeBatch(batch, { includeRows = true } = {}) {
+  const counts = { total: batch.rows.length };
+  for (const row of batch.rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+
+  const info = {
+    batchId: batch.batchId,
+    sessionId: batch.sessionId,
+    jobId: batch.jobId,
+    status: batch.status,
+    createdAt: batch.createdAt,
+    startedAt: batch.startedAt,
+    finishedAt: batch.finishedAt,
+    pacing: batch.pacing,
+    counts,
+    error: batch.error,
+  };
+
+  if (includeRows) {
+    info.rows = batch.rows;
+  }
+
+  return info;
+}
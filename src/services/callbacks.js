@@ -0,0 +1,120 @@
+/**
+ * Callback delivery - POSTs job outcomes to caller-supplied URLs with retries
+ */
+
+import { serializeJob } from './jobQueue.js';
+import { config } from '../config.js';
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Whether a failed delivery is worth retrying (network errors, timeouts, 5xx, 408, 429)
+ */
+function isRetryable(status) {
+  return status === null || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Backoff before the given retry attempt (1-based), doubling each time up to the cap
+ */
+function backoffDelay(attempt) {
+  const delay = config.callbacks.initialDelayMs * 2 ** (attempt - 1);
+  return Math.min(delay, config.callbacks.maxDelayMs);
+}
+
+/**
+ * Validate a caller-supplied callback URL
+ * @param {string} callbackUrl - URL to validate
+ * @returns {boolean} True if it is an absolute http(s) URL
+ */
+export function isValidCallbackUrl(callbackUrl) {
+  if (typeof callbackUrl !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(callbackUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST a JSON payload to a URL, retrying with exponential backoff
+ * @param {string} url - Callback URL
+ * @param {Object} payload - JSON body
+ * @param {Object} [delivery] - Delivery record to update as attempts are made
+ * @returns {Promise<Object>} Final delivery record
+ */
+export async function deliverCallback(url, payload, delivery = { url, status: 'pending', attempts: 0 }) {
+  const body = JSON.stringify(payload);
+
+  while (delivery.attempts < config.callbacks.maxAttempts) {
+    if (delivery.attempts > 0) {
+      await sleep(backoffDelay(delivery.attempts));
+    }
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = Date.now();
+
+    let status = null;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal: AbortSignal.timeout(config.callbacks.timeoutMs),
+      });
+      status = response.status;
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = Date.now();
+        delivery.lastError = null;
+        console.log(`[Callbacks] ✓ Delivered callback to ${url} (attempt ${delivery.attempts})`);
+        return delivery;
+      }
+      delivery.lastError = `HTTP ${status}`;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+
+    console.warn(`[Callbacks] Callback to ${url} failed (attempt ${delivery.attempts}/${config.callbacks.maxAttempts}): ${delivery.lastError}`);
+    if (!isRetryable(status)) {
+      break;
+    }
+  }
+
+  delivery.status = 'failed';
+  console.error(`[Callbacks] ✗ Giving up on callback to ${url} after ${delivery.attempts} attempt(s)`);
+  return delivery;
+}
+
+/**
+ * Deliver a job's final outcome to a callback URL once the job settles
+ * The delivery record is attached to the job so it shows up in the job status.
+ * @param {Object} job - Job record from the job queue
+ * @param {string} callbackUrl - URL to POST the outcome to
+ */
+export function notifyJobCallback(job, callbackUrl) {
+  job.callback = { url: callbackUrl, status: 'pending', attempts: 0, lastError: null };
+
+  job.promise
+    .catch(() => {})
+    .then(() => {
+      const payload = {
+        event: `job.${job.status}`,
+        ok: job.status === 'completed',
+        job: serializeJob(job),
+      };
+      // The receiver doesn't need our own delivery bookkeeping
+      delete payload.job.callback;
+      return deliverCallback(callbackUrl, payload, job.callback);
+    })
+    .catch((error) => {
+      console.error(`[Callbacks] Unexpected error delivering callback for job ${job.jobId}:`, error);
+    });
+}
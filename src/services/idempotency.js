@@ -0,0 +1,215 @@
+/**
+ * Idempotency store - remembers request outcomes by Idempotency-Key so retries
+ * replay the original result instead of sending the same message twice
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { IdempotencyConflictError, IdempotencyKeyMismatchError } from '../errors.js';
+import { config } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Stored next to profiles/sessions.json so outcomes survive restarts
+const IDEMPOTENCY_FILE = path.join(__dirname, '../../profiles/idempotency.json');
+
+// recordId ("sessionId:key") -> record
+const records = new Map();
+
+// In-memory waiters for in-flight records: recordId -> { promise, resolve }
+const inFlight = new Map();
+
+let loadPromise = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Build the registry key for a session-scoped idempotency key
+ */
+function recordIdFor(sessionId, key) {
+  return `${sessionId}:${key}`;
+}
+
+/**
+ * Drop records whose replay window has passed
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [recordId, record] of records) {
+    if (record.expiresAt <= now && !inFlight.has(recordId)) {
+      records.delete(recordId);
+    }
+  }
+}
+
+/**
+ * Load persisted records from disk (once)
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const data = await fs.readFile(IDEMPOTENCY_FILE, 'utf-8');
+        const stored = JSON.parse(data);
+        for (const [recordId, record] of Object.entries(stored)) {
+          // Still running when the process stopped: its outcome is unknown and the send may
+          // have gone out, so the key is refused for the rest of its TTL
+          if (record.status === 'in_progress') {
+            record.status = 'interrupted';
+          }
+          records.set(recordId, record);
+        }
+        pruneExpired();
+        console.log(`[Idempotency] Loaded ${records.size} idempotency record(s)`);
+      } catch {
+        // File doesn't exist yet, start fresh
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Copy of a record as written to disk
+ * Dry-run screenshots are only replayed from memory; as base64 they would bloat every write.
+ */
+function toStoredRecord(record) {
+  const body = record.response?.body;
+  if (typeof body?.screenshot !== 'string') {
+    return record;
+  }
+  return { ...record, response: { ...record.response, body: { ...body, screenshot: null } } };
+}
+
+/**
+ * Write all records to disk, serialized so writes never interleave
+ */
+function persist() {
+  writeChain = writeChain
+    .then(async () => {
+      pruneExpired();
+      const tmpFile = `${IDEMPOTENCY_FILE}.tmp`;
+      await fs.mkdir(path.dirname(IDEMPOTENCY_FILE), { recursive: true });
+      const stored = Object.fromEntries([...records].map(([recordId, record]) => [recordId, toStoredRecord(record)]));
+      await fs.writeFile(tmpFile, JSON.stringify(stored, null, 2));
+      await fs.rename(tmpFile, IDEMPOTENCY_FILE);
+    })
+    .catch((error) => {
+      console.warn(`[Idempotency] Failed to save idempotency records: ${error.message}`);
+    });
+  return writeChain;
+}
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed
+ * @param {Object} request - Request data (e.g. {path, body})
+ * @returns {string} SHA-256 hex digest
+ */
+export function fingerprintRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Start (or join) an idempotent request
+ * @param {string} sessionId - Session the key is scoped to
+ * @param {string} key - Client-supplied Idempotency-Key
+ * @param {string} fingerprint - Request fingerprint from fingerprintRequest()
+ * @returns {Promise<{record: Object, replay: boolean}>} replay=true when the stored response should be returned
+ */
+export async function beginIdempotentRequest(sessionId, key, fingerprint) {
+  await ensureLoaded();
+  pruneExpired();
+
+  const recordId = recordIdFor(sessionId, key);
+  const existing = records.get(recordId);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      throw new IdempotencyKeyMismatchError(key);
+    }
+
+    if (existing.status === 'completed') {
+      return { record: existing, replay: true };
+    }
+
+    // Same request is still running in this process, wait for its outcome
+    const waiter = inFlight.get(recordId);
+    if (waiter) {
+      console.log(`[Idempotency] Waiting for in-flight request with key ${key}`);
+      const record = await waiter.promise;
+      if (record) {
+        return { record, replay: true };
+      }
+      // The original attempt was abandoned without an outcome, let this one run
+      return beginIdempotentRequest(sessionId, key, fingerprint);
+    }
+
+    // In progress on disk but not in memory: the process stopped mid-request
+    throw new IdempotencyConflictError(
+      `A previous request with Idempotency-Key "${key}" was interrupted; its outcome is unknown `
+      + `(check the message history; the key can be reused after ${new Date(existing.expiresAt).toISOString()})`
+    );
+  }
+
+  const now = Date.now();
+  const record = {
+    key,
+    sessionId,
+    fingerprint,
+    status: 'in_progress',
+    createdAt: now,
+    expiresAt: now + config.idempotency.ttlMs,
+    response: null,
+  };
+  records.set(recordId, record);
+
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  inFlight.set(recordId, { promise, resolve });
+
+  await persist();
+  return { record, replay: false };
+}
+
+/**
+ * Store the outcome of an idempotent request so later retries replay it
+ * @param {Object} record - Record from beginIdempotentRequest()
+ * @param {number} statusCode - HTTP status code sent to the client
+ * @param {Object} body - JSON body sent to the client
+ */
+export async function completeIdempotentRequest(record, statusCode, body) {
+  const recordId = recordIdFor(record.sessionId, record.key);
+  record.status = 'completed';
+  record.completedAt = Date.now();
+  record.response = { statusCode, body };
+
+  const waiter = inFlight.get(recordId);
+  inFlight.delete(recordId);
+  if (waiter) {
+    waiter.resolve(record);
+  }
+
+  await persist();
+}
+
+/**
+ * Forget an idempotent request that finished without an outcome worth replaying
+ * (e.g. it was rejected before any browser work started)
+ * @param {Object} record - Record from beginIdempotentRequest()
+ */
+export async function abandonIdempotentRequest(record) {
+  const recordId = recordIdFor(record.sessionId, record.key);
+  records.delete(recordId);
+
+  const waiter = inFlight.get(recordId);
+  inFlight.delete(recordId);
+  if (waiter) {
+    waiter.resolve(null);
+  }
+
+  await persist();
+}
@@ -0,0 +1,173 @@
+/**
+ * Inbound Watcher - notices new WhatsApp messages in a session's open inbox page
+ * and emits `message.received` events
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { threadRowConfig, parseThreadRows, toThread } from './threadRows.js';
+import { getLabelTexts } from './selectorCatalog.js';
+
+// Reports this soon after the watcher starts describe what was already in the inbox
+const BASELINE_MS = 10000;
+
+// How long an emitted message is remembered for deduplication
+const DEDUP_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * A thread row's last message: its text and, when the row carries one, its timestamp, so two
+ * messages with the same text ("ok", "yes") are told apart. The relative time shown in the row
+ * ("2m", "Mon") changes on its own and is left out.
+ * Runs inside the page too, so it must stay self-contained.
+ */
+function messageIdentity(row) {
+  return `${row.dateTime || ''}|${row.lastMessage}`;
+}
+
+// In-page scan delay after the last DOM mutation
+const SCAN_DEBOUNCE_MS = 500;
+
+/**
+ * Emits 'message.received' with {id, event, sessionId, threadId, sender: {name, phoneNumber},
+ * text, receivedAt}
+ */
+export const inboundEvents = new EventEmitter();
+
+// sessionId -> { startedAt, previews: Map<threadId, identity>, seen: Map<key, emittedAt> }
+const watchers = new Map();
+
+/**
+ * Watch the thread list for preview changes and report changed WhatsApp rows to Node
+ * Runs inside the page on every load, so it must stay self-contained.
+ */
+function observeThreadList({ parseRows, identify, debounceMs }) {
+  if (window.__inboundWatcherActive) return;
+  window.__inboundWatcherActive = true;
+
+  // Last messages already reported from this document
+  const reported = new Map();
+  let timer = null;
+
+  const scan = async () => {
+    timer = null;
+    try {
+      const rowConfig = await window.__inboundWatcherConfig();
+      const rows = parseRows(rowConfig).filter((row) => row.channel === 'whatsapp' && row.lastMessage);
+      const changed = rows.filter((row) => reported.get(row.threadId || row.name) !== identify(row));
+      for (const row of changed) {
+        reported.set(row.threadId || row.name, identify(row));
+      }
+      if (changed.length > 0) {
+        await window.__inboundWatcherReport(changed);
+      }
+    } catch {
+      // The page is navigating away; the next document starts its own watcher
+    }
+  };
+
+  const start = () => {
+    new MutationObserver(() => {
+      if (!timer) timer = setTimeout(scan, debounceMs);
+    }).observe(document.body, { childList: true, subtree: true, characterData: true });
+    scan();
+  };
+
+  if (document.body) {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start);
+  }
+}
+
+/**
+ * Drop dedup entries older than the TTL
+ */
+function pruneSeen(state) {
+  const cutoff = Date.now() - DEDUP_TTL_MS;
+  for (const [key, emittedAt] of state.seen) {
+    if (emittedAt < cutoff) {
+      state.seen.delete(key);
+    }
+  }
+}
+
+/**
+ * Turn changed rows reported by the page into message.received events
+ */
+function handleReport(sessionId, rows) {
+  const state = watchers.get(sessionId);
+  if (!state) {
+    return;
+  }
+  const baseline = Date.now() - state.startedAt < BASELINE_MS;
+  const outboundPrefixes = getLabelTexts('outboundPreview').map((prefix) => prefix.toLowerCase());
+  pruneSeen(state);
+
+  for (const row of rows) {
+    const thread = toThread(row);
+    const text = thread.lastMessage;
+    const identity = messageIdentity(row);
+    const previous = state.previews.get(thread.threadId);
+    state.previews.set(thread.threadId, identity);
+
+    if (baseline || previous === identity) continue;
+    // A thread we haven't seen before only counts if it has unread messages (not just scrolled into view)
+    if (previous === undefined && !thread.unread) continue;
+    // Our own sends update the preview too
+    if (outboundPrefixes.some((prefix) => text.toLowerCase().startsWith(prefix))) continue;
+
+    // A change of the last message is a new message. With a timestamp, the message is also
+    // remembered so it isn't reported twice when the preview flips back to it; without one the
+    // text alone would drop a customer repeating themselves ("ok" ... "ok")
+    if (row.dateTime) {
+      const key = crypto.createHash('sha256').update(`${thread.threadId}|${identity}`).digest('hex');
+      if (state.seen.has(key)) continue;
+      state.seen.set(key, Date.now());
+    }
+
+    const event = {
+      id: uuidv4(),
+      event: 'message.received',
+      sessionId,
+      threadId: thread.threadId,
+      sender: {
+        name: thread.name,
+        phoneNumber: thread.phoneNumber,
+      },
+      text,
+      receivedAt: Date.now(),
+    };
+    console.log(`[InboundWatcher] New message in thread ${thread.threadId} for session ${sessionId}`);
+    inboundEvents.emit('message.received', event);
+  }
+}
+
+/**
+ * Start watching a session's inbox page
+ * The observer is injected as an init script so it survives the page reloads done before each send.
+ * @param {string} sessionId - Session ID
+ * @param {Page} page - Session's inbox page
+ */
+export async function startInboundWatcher(sessionId, page) {
+  watchers.set(sessionId, { startedAt: Date.now(), previews: new Map(), seen: new Map() });
+
+  // Selectors are fetched on every scan so catalog reloads apply without a new session
+  await page.exposeFunction('__inboundWatcherConfig', () => threadRowConfig());
+  await page.exposeFunction('__inboundWatcherReport', (rows) => handleReport(sessionId, rows));
+
+  const script = `(${observeThreadList.toString()})({ parseRows: ${parseThreadRows.toString()}, identify: ${messageIdentity.toString()}, debounceMs: ${SCAN_DEBOUNCE_MS} });`;
+  await page.addInitScript(script);
+  // The inbox is already loaded, start on the current document too
+  await page.evaluate(script);
+
+  console.log(`[InboundWatcher] Watching inbox for session ${sessionId}`);
+}
+
+/**
+ * Stop tracking a session (its page is about to close)
+ * @param {string} sessionId - Session ID
+ */
+export function stopInboundWatcher(sessionId) {
+  watchers.delete(sessionId);
+}
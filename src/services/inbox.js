@@ -0,0 +1,172 @@
+/**
+ * Inbox Reader - lists WhatsApp conversations and reads their messages from the
+ * session's Business Suite inbox page
+ */
+
+import { getSession } from './sessionManager.js';
+import { enqueueJob } from './jobQueue.js';
+import { getCatalog } from './selectorCatalog.js';
+import { threadRowConfig, parseThreadRows, toThread, messagePaneConfig, parseMessageBubbles } from './threadRows.js';
+import { buildInboxUrl, isInboxOf } from '../utils/inboxUrl.js';
+import { AutomationError, ThreadNotFoundError } from '../errors.js';
+
+const THREAD_LIMIT_DEFAULT = 50;
+const THREAD_LIMIT_MAX = 200;
+const MESSAGE_LIMIT_DEFAULT = 100;
+const MESSAGE_LIMIT_MAX = 500;
+
+// How long to wait for the thread list / an opened thread's bubbles to render
+const RENDER_TIMEOUT_MS = 15000;
+
+/**
+ * Sleep utility
+ */
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Shorthand for a named selector from the catalog
+ */
+function catalogSelector(name) {
+  return getCatalog().selectors[name];
+}
+
+/**
+ * Clamp an optional limit to [1, max]
+ */
+function clampLimit(limit, fallback, max) {
+  return Math.min(Math.max(limit ?? fallback, 1), max);
+}
+
+/**
+ * Make sure the page shows the session's inbox with no dialog left open
+ * A send with a per-message asset may have left the page on another asset's inbox.
+ */
+async function ensureInbox(page, asset) {
+  const dialogOpen = await page.$(catalogSelector('dialog'));
+  if (!isInboxOf(page.url(), asset)) {
+    console.log('[Inbox] Navigating to inbox...');
+    await page.goto(buildInboxUrl(asset), { waitUntil: 'networkidle', timeout: 30000 });
+    await sleep(2000);
+  } else if (dialogOpen) {
+    console.log('[Inbox] Dialog open, refreshing page...');
+    await page.reload({ waitUntil: 'networkidle', timeout: 30000 });
+    await sleep(2000);
+  }
+}
+
+/**
+ * Wait for the thread list to render and return its threads
+ */
+async function readThreadList(page) {
+  const start = Date.now();
+  let rows = [];
+  while (Date.now() - start < RENDER_TIMEOUT_MS) {
+    rows = await page.evaluate(parseThreadRows, threadRowConfig());
+    if (rows.length > 0) break;
+    await sleep(500);
+  }
+  return rows.map((row) => ({ ...toThread(row), index: row.index }));
+}
+
+/**
+ * List conversations in the inbox (runs inside a job)
+ */
+async function listThreads(page, { limit, channel, asset }) {
+  await ensureInbox(page, asset);
+  const threads = await readThreadList(page);
+  console.log(`[Inbox] Found ${threads.length} thread(s)`);
+
+  return threads
+    .filter((thread) => channel === 'all' || thread.channel === 'whatsapp')
+    .slice(0, limit)
+    .map(({ index, ...thread }) => thread);
+}
+
+/**
+ * Open a thread and scrape its message bubbles (runs inside a job)
+ */
+async function readThreadMessages(page, threadId, { limit, asset }) {
+  await ensureInbox(page, asset);
+  const threads = await readThreadList(page);
+  const thread = threads.find((t) => t.threadId === threadId);
+  if (!thread) {
+    throw new ThreadNotFoundError(threadId);
+  }
+
+  const rowHandles = await page.$$(catalogSelector('threadListItem'));
+  const rowHandle = rowHandles[thread.index];
+  if (!rowHandle) {
+    throw new ThreadNotFoundError(threadId);
+  }
+  await rowHandle.scrollIntoViewIfNeeded();
+  await rowHandle.click({ timeout: 5000 });
+
+  const paneConfig = { ...messagePaneConfig(), name: thread.name };
+
+  // Wait until the pane shows the selected contact and has bubbles
+  const start = Date.now();
+  let bubbles = [];
+  while (Date.now() - start < RENDER_TIMEOUT_MS) {
+    await sleep(500);
+    bubbles = await page.evaluate(parseMessageBubbles, paneConfig);
+
+    if (bubbles && bubbles.length > 0) break;
+  }
+
+  if (!bubbles) {
+    throw new AutomationError(`Could not open thread ${threadId}: message pane did not show the conversation`);
+  }
+
+  const messages = bubbles.slice(-limit).map((bubble) => {
+    const timestamp = bubble.dateTime ? Date.parse(bubble.dateTime) : NaN;
+    return {
+      direction: bubble.direction,
+      text: bubble.text,
+      time: bubble.dateTime,
+      sentAt: Number.isNaN(timestamp) ? null : timestamp,
+    };
+  });
+  console.log(`[Inbox] Read ${messages.length} message(s) from thread ${threadId}`);
+
+  const { index, ...threadInfo } = thread;
+  return { thread: threadInfo, messages };
+}
+
+/**
+ * List a session's inbox conversations
+ * Runs through the session's job queue so it never overlaps a send on the same page.
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options] - {limit, channel: 'whatsapp' (default) | 'all'}
+ * @returns {Promise<Array<Object>>} Threads in inbox order
+ */
+export async function listThreadsForSession(sessionId, { limit, channel = 'whatsapp' } = {}) {
+  // Fail fast for unknown sessions instead of queueing a job that can never run
+  getSession(sessionId);
+  const options = { limit: clampLimit(limit, THREAD_LIMIT_DEFAULT, THREAD_LIMIT_MAX), channel };
+
+  const job = enqueueJob(sessionId, 'list-threads', () => {
+    const session = getSession(sessionId);
+    return listThreads(session.page, { ...options, asset: session.asset });
+  });
+  return job.promise;
+}
+
+/**
+ * Read the messages of one conversation, oldest first
+ * @param {string} sessionId - Session ID
+ * @param {string} threadId - Thread ID from listThreadsForSession
+ * @param {Object} [options] - {limit} most recent messages to return
+ * @returns {Promise<{thread: Object, messages: Array<Object>}>}
+ */
+export async function getThreadMessagesForSession(sessionId, threadId, { limit } = {}) {
+  getSession(sessionId);
+  const options = { limit: clampLimit(limit, MESSAGE_LIMIT_DEFAULT, MESSAGE_LIMIT_MAX) };
+
+  const job = enqueueJob(sessionId, 'read-thread', () => {
+    const session = getSession(sessionId);
+    return readThreadMessages(session.page, threadId, { ...options, asset: session.asset });
+  });
+  return job.promise;
+}
@@ -0,0 +1,218 @@
+/**
+ * Job Queue - per-session FIFO queue that serializes work on a session's page
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { JobNotFoundError, JobConflictError } from '../errors.js';
+import { config } from '../config.js';
+
+// All known jobs (queued, running and recently finished)
+const jobs = new Map();
+
+// Per-session queue state: sessionId -> { pending: Array<Job>, running: Job|null }
+const queues = new Map();
+
+/**
+ * Get (or create) the queue state for a session
+ */
+function getQueue(sessionId) {
+  let queue = queues.get(sessionId);
+  if (!queue) {
+    queue = { pending: [], running: null };
+    queues.set(sessionId, queue);
+  }
+  return queue;
+}
+
+/**
+ * Forget a finished job once the retention window has passed
+ */
+function scheduleCleanup(job) {
+  const timer = setTimeout(() => {
+    jobs.delete(job.jobId);
+  }, config.jobs.retentionMs);
+  timer.unref();
+}
+
+/**
+ * Mark a job as finished and settle its promise
+ */
+function finishJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.finishedAt = Date.now();
+  job.result = result;
+  job.error = error;
+  // The job stays queryable for retentionMs; its closure may hold decoded attachments
+  job.run = null;
+  if (error) {
+    job.reject(error);
+  } else {
+    job.resolve(result);
+  }
+  scheduleCleanup(job);
+}
+
+/**
+ * Run queued jobs for a session one at a time until the queue is empty
+ */
+async function drain(sessionId) {
+  const queue = queues.get(sessionId);
+  if (!queue || queue.running) {
+    return;
+  }
+
+  while (queue.pending.length > 0) {
+    const job = queue.pending.shift();
+    queue.running = job;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    console.log(`[JobQueue] Running job ${job.jobId} (${job.type}) for session ${sessionId}`);
+
+    try {
+      const result = await job.run(job);
+      finishJob(job, 'completed', { result });
+      console.log(`[JobQueue] ✓ Job ${job.jobId} completed`);
+    } catch (error) {
+      finishJob(job, 'failed', { error });
+      console.warn(`[JobQueue] Job ${job.jobId} failed: ${error.message}`);
+    } finally {
+      queue.running = null;
+    }
+  }
+
+  queues.delete(sessionId);
+}
+
+/**
+ * Add a job to the end of a session's queue
+ * @param {string} sessionId - Session ID the job runs against
+ * @param {string} type - Job type (e.g. "send-message")
+ * @param {Function} run - Async function doing the work, called with the job
+ * @returns {Object} Job record (returned immediately, before the job runs)
+ */
+export function enqueueJob(sessionId, type, run) {
+  const job = {
+    jobId: uuidv4(),
+    sessionId,
+    type,
+    status: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    run,
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  // Nobody may be awaiting the job, don't treat a failure as unhandled
+  job.promise.catch(() => {});
+
+  jobs.set(job.jobId, job);
+  getQueue(sessionId).pending.push(job);
+  console.log(`[JobQueue] Queued job ${job.jobId} (${type}) for session ${sessionId}`);
+
+  drain(sessionId);
+  return job;
+}
+
+/**
+ * Get a job belonging to a session
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job record
+ */
+export function getJob(sessionId, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.sessionId !== sessionId) {
+    throw new JobNotFoundError(jobId);
+  }
+  return job;
+}
+
+/**
+ * List the jobs known for a session, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Array<Object>} Job records
+ */
+export function getSessionJobs(sessionId) {
+  return Array.from(jobs.values()).filter((job) => job.sessionId === sessionId);
+}
+
+/**
+ * Cancel a job that has not started yet
+ * @param {string} sessionId - Session ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} Cancelled job record
+ */
+export function cancelJob(sessionId, jobId) {
+  const job = getJob(sessionId, jobId);
+  if (job.status !== 'queued') {
+    throw new JobConflictError(`Job ${jobId} is ${job.status} and can no longer be cancelled`);
+  }
+
+  const queue = getQueue(sessionId);
+  queue.pending = queue.pending.filter((pending) => pending !== job);
+  finishJob(job, 'cancelled', {
+    error: new JobConflictError(`Job ${jobId} was cancelled before it started`),
+  });
+  console.log(`[JobQueue] Cancelled job ${jobId} for session ${sessionId}`);
+  return job;
+}
+
+/**
+ * Cancel every queued job for a session (used when the session is destroyed)
+ * @param {string} sessionId - Session ID
+ */
+export function cancelSessionJobs(sessionId) {
+  const queue = queues.get(sessionId);
+  if (!queue) {
+    return;
+  }
+
+  for (const job of queue.pending) {
+    finishJob(job, 'cancelled', {
+      error: new JobConflictError(`Job ${job.jobId} was cancelled because session ${sessionId} was destroyed`),
+    });
+  }
+  queue.pending = [];
+}
+
+/**
+ * Public representation of a job for API responses
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job info
+ */
+export function serializeJob(job) {
+  const info = {
+    jobId: job.jobId,
+    sessionId: job.sessionId,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+
+  if (job.status === 'queued') {
+    const queue = queues.get(job.sessionId);
+    info.position = queue ? queue.pending.indexOf(job) + 1 : null;
+  }
+  if (job.result) {
+    info.result = job.result;
+  }
+  if (job.error) {
+    info.error = {
+      message: job.error.message,
+      step: job.error.step || null,
+      details: job.error.details || null,
+    };
+  }
+  if (job.callback) {
+    info.callback = { ...job.callback };
+  }
+
+  return info;
+}
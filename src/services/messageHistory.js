@@ -0,0 +1,177 @@
+/**
+ * Message History - append-only log of every send attempt with a query API
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { InvalidInputError } from '../errors.js';
+import { config } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One JSON record per line, stored next to profiles/sessions.json
+const HISTORY_FILE = path.join(__dirname, '../../profiles/messages.jsonl');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const STATUSES = ['sent', 'failed'];
+
+let writeChain = Promise.resolve();
+
+/**
+ * Keep only the digits of a phone number
+ */
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Parse a date filter given as epoch milliseconds or an ISO 8601 string
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new InvalidInputError(`Invalid ${name}: expected epoch milliseconds or an ISO 8601 date`);
+  }
+  return ms;
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ */
+function parseInteger(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new InvalidInputError(`Invalid ${name}: expected a non-negative integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Append a send attempt to the history log
+ * @param {Object} attempt - {sessionId, jobId, batchId, extension, phoneNumber, country, threadId, message,
+ *   attachments, template, asset, startedAt, finishedAt, status, delivery, path, step, error, artifactId}
+ * @returns {Promise<void>}
+ */
+export function recordSendAttempt(attempt) {
+  const record = {
+    id: uuidv4(),
+    sessionId: attempt.sessionId,
+    jobId: attempt.jobId || null,
+    batchId: attempt.batchId || null,
+    extension: attempt.extension,
+    phoneNumber: attempt.phoneNumber,
+    // Null for replies addressed by threadId alone
+    recipient: attempt.phoneNumber ? `+${digitsOnly(attempt.extension)}${digitsOnly(attempt.phoneNumber)}` : null,
+    // ISO code of the recipient's country, e.g. "GB"
+    country: attempt.country || null,
+    // Conversation replied in, when the send named one
+    threadId: attempt.threadId || null,
+    // Template sends have no free-text message
+    messageHash: attempt.message ? crypto.createHash('sha256').update(attempt.message).digest('hex') : null,
+    message: config.history.storeMessageBody ? attempt.message || null : null,
+    // {name, language, params}; params are message content, kept only with the body
+    template: attempt.template
+      ? { ...attempt.template, params: config.history.storeMessageBody ? attempt.template.params : null }
+      : null,
+    // Attachment metadata only: [{filename, mimeType, size}]
+    attachments: attempt.attachments || [],
+    // Business asset sent from: {businessId, assetId, senderNumber}
+    asset: attempt.asset || null,
+    status: attempt.status,
+    // Post-send verification: {status: verified|unverified|rejected, error}
+    delivery: attempt.delivery || null,
+    // Send path used: new_number | existing_thread
+    path: attempt.path || null,
+    step: attempt.step || null,
+    error: attempt.error || null,
+    // Failure artifacts, see GET /api/sessions/:sessionId/artifacts/:artifactId
+    artifactId: attempt.artifactId || null,
+    startedAt: attempt.startedAt,
+    finishedAt: attempt.finishedAt,
+    durationMs: attempt.finishedAt - attempt.startedAt,
+  };
+
+  writeChain = writeChain
+    .then(async () => {
+      await fs.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+      await fs.appendFile(HISTORY_FILE, `${JSON.stringify(record)}\n`);
+    })
+    .catch((error) => {
+      console.warn(`[MessageHistory] Failed to record send attempt: ${error.message}`);
+    });
+  return writeChain;
+}
+
+/**
+ * Query the history log, newest first
+ * @param {Object} filters - Raw query values: {sessionId, recipient, status, from, to, limit, offset}
+ * @returns {Promise<{messages: Array<Object>, total: number, limit: number, offset: number}>}
+ */
+export async function queryMessages({ sessionId, recipient, status, from, to, limit, offset } = {}) {
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw new InvalidInputError(`Invalid status: expected one of ${STATUSES.join(', ')}`);
+  }
+  const recipientDigits = recipient !== undefined ? digitsOnly(recipient) : null;
+  if (recipientDigits === '') {
+    throw new InvalidInputError('Invalid recipient: expected a phone number');
+  }
+  const fromMs = parseDate(from, 'from');
+  const toMs = parseDate(to, 'to');
+  const pageLimit = Math.min(parseInteger(limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  const pageOffset = parseInteger(offset, 'offset', 0);
+
+  const matches = [];
+  try {
+    await fs.access(HISTORY_FILE);
+  } catch {
+    return { messages: [], total: 0, limit: pageLimit, offset: pageOffset };
+  }
+
+  const lines = readline.createInterface({
+    input: createReadStream(HISTORY_FILE, { encoding: 'utf-8' }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // Skip a line truncated by a crash mid-write
+      continue;
+    }
+
+    if (sessionId && record.sessionId !== sessionId) continue;
+    if (status && record.status !== status) continue;
+    // Match full international numbers as well as national numbers without the country code
+    if (recipientDigits && !digitsOnly(record.recipient).endsWith(recipientDigits)) continue;
+    if (fromMs !== null && record.startedAt < fromMs) continue;
+    if (toMs !== null && record.startedAt > toMs) continue;
+
+    matches.push(record);
+  }
+
+  matches.sort((a, b) => b.startedAt - a.startedAt);
+
+  return {
+    messages: matches.slice(pageOffset, pageOffset + pageLimit),
+    total: matches.length,
+    limit: pageLimit,
+    offset: pageOffset,
+  };
+}
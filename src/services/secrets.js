@@ -0,0 +1,133 @@
+/**
+ * Secrets - AES-256-GCM encryption of the session secrets stored on disk (cookie strings,
+ * proxy passwords)
+ *
+ * Encrypted values are strings "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts), so
+ * they can replace the plain value in place. The key id tells which key wrote a value, which
+ * lets SECRETS_PREVIOUS_KEYS decrypt records written before a key rotation.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { SecretsError } from '../errors.js';
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+/**
+ * Read a key given as 64 hex characters or base64 of 32 bytes
+ */
+function parseKey(raw, name) {
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new SecretsError(`${name} must be a 32-byte key given as 64 hex characters or base64 (generate one with: openssl rand -hex 32)`);
+  }
+  return key;
+}
+
+/**
+ * Short, non-secret fingerprint of a key
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// keyId -> key; the current key first
+const keys = new Map();
+let currentKeyId = null;
+
+if (config.secrets.key) {
+  const key = parseKey(config.secrets.key, 'SECRETS_KEY');
+  currentKeyId = keyId(key);
+  keys.set(currentKeyId, key);
+}
+config.secrets.previousKeys.forEach((raw, index) => {
+  const key = parseKey(raw, `SECRETS_PREVIOUS_KEYS[${index}]`);
+  keys.set(keyId(key), key);
+});
+
+/**
+ * Whether secrets are encrypted before they are stored
+ * @returns {boolean}
+ */
+export function hasSecretsKey() {
+  return currentKeyId !== null;
+}
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a secret with the current key
+ * Without SECRETS_KEY the value is returned as is.
+ * @param {string|null|undefined} plaintext - Secret
+ * @returns {string|null|undefined} Encrypted value
+ */
+export function encryptSecret(plaintext) {
+  if (typeof plaintext !== 'string' || !hasSecretsKey()) {
+    return plaintext;
+  }
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(currentKeyId), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${PREFIX}${currentKeyId}:${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored value (plain values are returned as is)
+ * @param {string|null|undefined} value - Stored value
+ * @returns {string|null|undefined} Secret
+ * @throws {SecretsError} If the key that encrypted it is not configured or the value was tampered with
+ */
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  const [id, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const key = keys.get(id);
+  if (!key) {
+    throw new SecretsError(`Secret was encrypted with key ${id}, which is neither SECRETS_KEY nor in SECRETS_PREVIOUS_KEYS`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new SecretsError(`Could not decrypt secret with key ${id}: the stored value is corrupt or was modified`);
+  }
+}
+
+/**
+ * Check that a stored value can be read with the configured keys
+ * @param {*} value - Stored value
+ * @throws {SecretsError} If it is encrypted and no key is configured, or its key is unknown
+ */
+export function assertReadable(value) {
+  if (!isEncrypted(value)) {
+    return;
+  }
+  if (keys.size === 0) {
+    throw new SecretsError('Stored session secrets are encrypted but SECRETS_KEY is not set');
+  }
+  decryptSecret(value);
+}
+
+/**
+ * Whether a stored value should be written again with the current key
+ * (plain while a key is configured, or encrypted with a previous key)
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export function needsReencryption(value) {
+  if (typeof value !== 'string' || !hasSecretsKey()) {
+    return false;
+  }
+  return !isEncrypted(value) || !value.startsWith(`${PREFIX}${currentKeyId}:`);
+}
@@ -0,0 +1,251 @@
+/**
+ * Selector Catalog - versioned JSON catalog of the selectors and UI labels the
+ * automation uses, so Meta UI changes can be handled without a redeploy
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CatalogValidationError } from '../errors.js';
+import { config } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CATALOG_PATH = config.selectors.catalogPath
+  ? path.resolve(config.selectors.catalogPath)
+  : path.join(__dirname, '../catalog/selectors.json');
+
+// Everything the automation looks up; a catalog missing any of these is rejected
+const REQUIRED_SELECTORS = [
+  'dialog',
+  'dialogButtons',
+  'extensionCombobox',
+  'contextualLayer',
+  'extensionSearchInput',
+  'listboxOption',
+  'phoneInput',
+  'messageTextarea',
+  'messageEditable',
+  'errorBanner',
+  'threadListItem',
+  'threadLink',
+  'messagePane',
+  'messageBubble',
+  'messageTime',
+  'threadComposer',
+  'fileInput',
+  'attachmentPreview',
+  'templateOption',
+  'templateSearchInput',
+  'templateVariableInput',
+  'templatePreview',
+  'senderCombobox',
+  'assetOption',
+  'loginForm',
+  'checkpointForm',
+];
+const REQUIRED_STEPS = [
+  'openWhatsappModal',
+  'clickNewWhatsappNumber',
+  'clickSendMessage',
+  'openAttachmentPicker',
+  'openTemplatePicker',
+  'openAssetSwitcher',
+];
+const REQUIRED_LABELS = ['deliveryErrors', 'whatsappChannel', 'unread', 'outboundPreview'];
+const STRATEGY_TYPES = ['css', 'text', 'textMatch', 'ariaLabel'];
+const SCOPES = ['page', 'dialog'];
+
+let current = null;
+
+/**
+ * Check that a value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validate one fallback strategy, collecting problems
+ */
+function validateStrategy(strategy, where, labels, problems) {
+  if (!strategy || typeof strategy !== 'object') {
+    problems.push(`${where}: strategy must be an object`);
+    return;
+  }
+  if (!STRATEGY_TYPES.includes(strategy.type)) {
+    problems.push(`${where}: type must be one of ${STRATEGY_TYPES.join(', ')}`);
+    return;
+  }
+  if (!isNonEmptyString(strategy.selector)) {
+    problems.push(`${where}: selector must be a non-empty string`);
+  }
+  if (strategy.scope !== undefined && !SCOPES.includes(strategy.scope)) {
+    problems.push(`${where}: scope must be one of ${SCOPES.join(', ')}`);
+  }
+  if ((strategy.type === 'text' || strategy.type === 'ariaLabel') && !labels[strategy.label]) {
+    problems.push(`${where}: label "${strategy.label}" is not defined in the default language`);
+  }
+  if (strategy.type === 'textMatch') {
+    if (!Array.isArray(strategy.allOf) || strategy.allOf.length === 0) {
+      problems.push(`${where}: allOf must be a non-empty array of label names`);
+    } else {
+      for (const label of strategy.allOf) {
+        if (!labels[label]) {
+          problems.push(`${where}: label "${label}" is not defined in the default language`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed catalog
+ * @param {Object} catalog - Parsed catalog JSON
+ * @throws {CatalogValidationError} If the catalog is malformed
+ */
+export function validateCatalog(catalog) {
+  const problems = [];
+
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    throw new CatalogValidationError(['Catalog must be a JSON object']);
+  }
+  if (!Number.isInteger(catalog.version) || catalog.version < 1) {
+    problems.push('version must be a positive integer');
+  }
+
+  // Labels: {language: {labelName: [text, ...]}}
+  const languages = catalog.labels && typeof catalog.labels === 'object' ? catalog.labels : null;
+  if (!languages) {
+    problems.push('labels must be an object keyed by language');
+  }
+  const defaultLabels = languages?.[catalog.defaultLanguage];
+  if (!defaultLabels || typeof defaultLabels !== 'object') {
+    problems.push(`defaultLanguage "${catalog.defaultLanguage}" must name a language in labels`);
+  }
+  for (const [language, labels] of Object.entries(languages || {})) {
+    if (!labels || typeof labels !== 'object') {
+      problems.push(`labels.${language} must be an object`);
+      continue;
+    }
+    for (const [name, texts] of Object.entries(labels)) {
+      if (!Array.isArray(texts) || texts.length === 0 || !texts.every(isNonEmptyString)) {
+        problems.push(`labels.${language}.${name} must be a non-empty array of strings`);
+      }
+      // Other language packs translate default-language labels (missing ones fall back to it)
+      if (defaultLabels && language !== catalog.defaultLanguage && !defaultLabels[name]) {
+        problems.push(`labels.${language}.${name} is not defined in the default language`);
+      }
+    }
+  }
+  for (const name of REQUIRED_LABELS) {
+    if (defaultLabels && !defaultLabels[name]) {
+      problems.push(`labels.${catalog.defaultLanguage}.${name} is required`);
+    }
+  }
+
+  // Selectors: {name: cssSelector}
+  for (const name of REQUIRED_SELECTORS) {
+    if (!isNonEmptyString(catalog.selectors?.[name])) {
+      problems.push(`selectors.${name} must be a non-empty string`);
+    }
+  }
+
+  // Steps: {stepName: [strategy, ...]} tried in order
+  for (const step of REQUIRED_STEPS) {
+    const strategies = catalog.steps?.[step];
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      problems.push(`steps.${step} must be a non-empty array of strategies`);
+      continue;
+    }
+    strategies.forEach((strategy, index) => {
+      validateStrategy(strategy, `steps.${step}[${index}]`, defaultLabels || {}, problems);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new CatalogValidationError(problems);
+  }
+}
+
+/**
+ * Read, parse and validate the catalog file
+ */
+function readCatalog() {
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new CatalogValidationError([`Could not read ${CATALOG_PATH}: ${error.message}`]);
+  }
+  validateCatalog(catalog);
+  return catalog;
+}
+
+/**
+ * Reload the catalog from disk. A malformed catalog is rejected and the
+ * previously loaded one stays active.
+ * @returns {Object} Catalog info (see getCatalogInfo)
+ */
+export function reloadCatalog() {
+  const catalog = readCatalog();
+  const previousVersion = current ? current.catalog.version : null;
+  current = { catalog, loadedAt: Date.now() };
+  console.log(`[SelectorCatalog] Loaded catalog version ${catalog.version} from ${CATALOG_PATH}` +
+    (previousVersion !== null ? ` (was version ${previousVersion})` : ''));
+  return getCatalogInfo();
+}
+
+/**
+ * Get the active catalog
+ * @returns {Object} Catalog
+ */
+export function getCatalog() {
+  return current.catalog;
+}
+
+/**
+ * Get the active catalog plus where and when it was loaded
+ * @returns {{version: number, source: string, loadedAt: number, catalog: Object}}
+ */
+export function getCatalogInfo() {
+  return {
+    version: current.catalog.version,
+    source: CATALOG_PATH,
+    loadedAt: current.loadedAt,
+    catalog: current.catalog,
+  };
+}
+
+/**
+ * Languages the catalog has label packs for
+ * @returns {Array<string>} Language codes, default language first
+ */
+export function getLanguages() {
+  const catalog = getCatalog();
+  const others = Object.keys(catalog.labels).filter((language) => language !== catalog.defaultLanguage);
+  return [catalog.defaultLanguage, ...others];
+}
+
+/**
+ * Texts for a label
+ * @param {string} name - Label name
+ * @param {string|null} [language] - Language pack to use (falls back to the default
+ *   language for untranslated labels); null tries every pack, default language first
+ * @returns {Array<string>} Label texts
+ */
+export function getLabelTexts(name, language = null) {
+  const catalog = getCatalog();
+  const fallback = catalog.labels[catalog.defaultLanguage][name] || [];
+
+  if (language) {
+    return catalog.labels[language]?.[name] || fallback;
+  }
+
+  const texts = getLanguages().flatMap((lang) => catalog.labels[lang][name] || []);
+  return [...new Set(texts)];
+}
+
+// Load at startup; a malformed catalog stops the service from starting
+reloadCatalog();
@@ -0,0 +1,160 @@
+/**
+ * Session Health - periodically checks that each session's browser is alive and its
+ * page is still a logged-in inbox
+ */
+
+import { getCatalog } from './selectorCatalog.js';
+import { config } from '../config.js';
+
+/**
+ * Health statuses:
+ * - active: Logged in and on the inbox
+ * - degraded: Logged in, but the page is elsewhere or not responding; sends may still work
+ * - logged_out: Meta shows a login screen, the cookies are no longer valid
+ * - checkpoint: Meta wants a security check (checkpoint, two-factor) before continuing
+ * - crashed: The browser or page is gone
+ * - recovering: The browser crashed and is being relaunched; sends wait for it in the job queue
+ */
+export const HEALTH_STATUSES = ['active', 'degraded', 'logged_out', 'checkpoint', 'crashed', 'recovering'];
+
+// Statuses that can't send until someone intervenes
+export const UNHEALTHY_STATUSES = ['logged_out', 'checkpoint', 'crashed'];
+
+const LOGIN_URL_PATTERN = /\/login(\.php)?([/?#]|$)|\/loginpage|[?&]next=/i;
+const CHECKPOINT_URL_PATTERN = /\/checkpoint([/?#]|$)|two_step_verification|two_factor/i;
+
+// sessionId -> interval timer
+const monitors = new Map();
+
+/**
+ * Inspect the page for login and checkpoint screens
+ * Runs inside the page.
+ */
+function inspectPage({ loginForm, checkpointForm }) {
+  return {
+    url: window.location.href,
+    loginForm: Boolean(document.querySelector(loginForm)),
+    checkpointForm: Boolean(document.querySelector(checkpointForm)),
+  };
+}
+
+/**
+ * Reject after a timeout, for page calls that hang when the renderer is stuck
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No response within ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Classify a session from its browser and page
+ * @param {Object} session - Session record {browser, page}
+ * @returns {Promise<{status: string, reason: string|null}|null>} Classification, or null when
+ *   the page was mid-navigation and the probe is inconclusive
+ */
+export async function probeSession(session) {
+  if (!session.browser?.isConnected() || !session.page || session.page.isClosed()) {
+    return { status: 'crashed', reason: 'Browser disconnected or page closed' };
+  }
+
+  let state;
+  try {
+    const { selectors } = getCatalog();
+    state = await withTimeout(
+      session.page.evaluate(inspectPage, { loginForm: selectors.loginForm, checkpointForm: selectors.checkpointForm }),
+      config.health.probeTimeoutMs
+    );
+  } catch (error) {
+    if (/Target (page, context or browser )?(has been )?closed|Browser closed|Session closed/i.test(error.message)) {
+      return { status: 'crashed', reason: error.message };
+    }
+    if (/Execution context was destroyed|navigation/i.test(error.message)) {
+      return null;
+    }
+    return { status: 'degraded', reason: `Page is not responding: ${error.message}` };
+  }
+
+  if (CHECKPOINT_URL_PATTERN.test(state.url) || state.checkpointForm) {
+    return { status: 'checkpoint', reason: `Meta requires a security check (${state.url})` };
+  }
+  if (LOGIN_URL_PATTERN.test(state.url) || state.loginForm) {
+    return { status: 'logged_out', reason: `Meta shows a login screen, the cookies have expired (${state.url})` };
+  }
+  if (!state.url.includes('business.facebook.com') || !state.url.includes('/latest/inbox')) {
+    return { status: 'degraded', reason: `Page is not on the inbox (${state.url})` };
+  }
+  return { status: 'active', reason: null };
+}
+
+/**
+ * Record a health status on a session, noting when it changed
+ * @param {string} sessionId - Session ID (for logs)
+ * @param {Object} session - Session record
+ * @param {{status: string, reason: string|null}} result - New classification
+ */
+export function setSessionHealth(sessionId, session, { status, reason }) {
+  const now = Date.now();
+  const previous = session.health?.status;
+  session.health = {
+    status,
+    reason,
+    checkedAt: now,
+    changedAt: previous === status ? session.health.changedAt : now,
+  };
+  if (previous && previous !== status) {
+    const log = UNHEALTHY_STATUSES.includes(status) ? console.warn : console.log;
+    log(`[SessionHealth] Session ${sessionId}: ${previous} -> ${status}${reason ? ` (${reason})` : ''}`);
+  }
+}
+
+/**
+ * Probe a session now and record the result
+ * Crashed and recovering are only changed by the recovery itself; an inconclusive probe
+ * keeps the previous status.
+ * @param {string} sessionId - Session ID (for logs)
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} The session's health {status, reason, checkedAt, changedAt}
+ */
+export async function checkSessionHealth(sessionId, session) {
+  if (session.health?.status === 'crashed' || session.health?.status === 'recovering') {
+    return session.health;
+  }
+  const result = await probeSession(session);
+  if (result) {
+    setSessionHealth(sessionId, session, result);
+  }
+  return session.health;
+}
+
+/**
+ * Start probing a session every HEALTH_PROBE_INTERVAL_MS
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session record
+ */
+export function startHealthMonitor(sessionId, session) {
+  stopHealthMonitor(sessionId);
+  const timer = setInterval(() => {
+    checkSessionHealth(sessionId, session).catch((error) => {
+      console.warn(`[SessionHealth] Probe failed for session ${sessionId}: ${error.message}`);
+    });
+  }, config.health.probeIntervalMs);
+  timer.unref();
+  monitors.set(sessionId, timer);
+}
+
+/**
+ * Stop probing a session
+ * @param {string} sessionId - Session ID
+ */
+export function stopHealthMonitor(sessionId) {
+  const timer = monitors.get(sessionId);
+  if (timer) {
+    clearInterval(timer);
+    monitors.delete(sessionId);
+  }
+}
@@ -4,23 +4,34 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { createBrowser } from './browserFactory.js';
-import { parseCookieString, toPlaywrightCookies } from '../utils/cookies.js';
-import { sendMessage } from './automation.js';
-import { SessionNotFoundError, InvalidInputError, BrowserCrashError } from '../errors.js';
+import { parseCookies, toPlaywrightCookies, toCookieString } from '../utils/cookies.js';
+import { sendMessage, detectUiLanguage } from './automation.js';
+import { enqueueJob, cancelSessionJobs } from './jobQueue.js';
+import { recordSendAttempt } from './messageHistory.js';
+import { startTracing, stopTracing, captureFailureArtifacts } from './artifacts.js';
+import { startInboundWatcher, stopInboundWatcher } from './inboundWatcher.js';
+import { describeAttachments, stageAttachments, cleanupAttachments } from './attachments.js';
+import { removeSessionSubscriptions } from './subscriptions.js';
+import { buildInboxUrl, parseInboxAsset, isInboxOf } from '../utils/inboxUrl.js';
+import { encryptSecret, decryptSecret, assertReadable, needsReencryption, hasSecretsKey } from './secrets.js';
+import { checkSessionHealth, setSessionHealth, startHealthMonitor, stopHealthMonitor, UNHEALTHY_STATUSES } from './sessionHealth.js';
+import { SessionNotFoundError, SessionUnhealthyError, InvalidInputError, BrowserCrashError, AutomationError, SecretsError } from '../errors.js';
 import { config } from '../config.js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createStore } from '../stores/index.js';
+import { acquireLaunchSlot, getCapacity } from './admission.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const INBOX_URL = 'https://business.facebook.com/latest/inbox';
-const SESSIONS_FILE = path.join(__dirname, '../../profiles/sessions.json');
+// Session metadata (profiles/sessions.json, or Redis), used to recreate sessions on restart
+const sessionStore = createStore('sessions');
 
 // In-memory session registry
 const sessions = new Map();
 
+// Cookies are set for both; Meta rotates tokens on the parent domain
+const COOKIE_DOMAINS = ['business.facebook.com', '.facebook.com'];
+
+// Send steps from the Send click on; a crash during them may come after the message left
+const SENT_STEPS = ['clickSendMessage', 'sendThreadMessage', 'verifyDelivery'];
+
 /**
  * Generate random number between min and max
  */
@@ -66,21 +77,100 @@ function startActivitySimulation(page, sessionId) {
   return timer;
 }
 
+/**
+ * Parse a cookie input and check it is usable
+ * @param {string} cookieString - Cookie string, JSON export or cookies.txt contents
+ * @param {string|null} cookieFormat - One of COOKIE_FORMATS, detected when null
+ * @returns {Object} parseCookies result plus `warnings`
+ * @throws {InvalidInputError} If the input can't be read or holds no usable cookie
+ */
+function readCookieInput(cookieString, cookieFormat) {
+  const parsed = parseCookies(cookieString, cookieFormat);
+  if (parsed.error) {
+    throw new InvalidInputError(parsed.error);
+  }
+  if (parsed.cookies.length === 0) {
+    const reasons = parsed.rejected.map(({ name, reason }) => `${name || '(unnamed)'}: ${reason}`).join('; ');
+    throw new InvalidInputError(`No valid cookies found in the input${reasons ? ` (${reasons})` : ''}`);
+  }
+  const warnings = parsed.missing.length > 0
+    ? [`Missing required Meta cookies: ${parsed.missing.join(', ')}. The session will most likely be logged out.`]
+    : [];
+  return { ...parsed, warnings };
+}
+
+/**
+ * Set parsed cookies on a browser context
+ * Cookies with a domain keep their attributes; string cookies have none and are set for
+ * every Facebook domain the inbox uses.
+ * @returns {Promise<Array<{name: string, reason: string}>>} Cookies the browser refused
+ */
+async function addSessionCookies(context, cookies) {
+  const rejected = [];
+  const scoped = cookies.filter((cookie) => cookie.domain);
+  const bare = cookies.filter((cookie) => !cookie.domain);
+
+  // One at a time, so a cookie the browser refuses doesn't take the others with it
+  for (const cookie of scoped) {
+    try {
+      await context.addCookies([cookie]);
+    } catch (error) {
+      rejected.push({ name: cookie.name, reason: error.message.split('\n')[0] });
+    }
+  }
+
+  // Convert to Playwright format and set for multiple domains
+  if (bare.length > 0) {
+    for (const domain of COOKIE_DOMAINS) {
+      try {
+        const playwrightCookies = toPlaywrightCookies(bare, domain);
+        await context.addCookies(playwrightCookies);
+      } catch (error) {
+        // Some cookies might fail for certain domains, continue
+        console.warn(`[SessionManager] Failed to set cookies for ${domain}:`, error.message);
+      }
+    }
+  }
+  return rejected;
+}
+
 /**
  * Create a new session
- * @param {string} cookieString - Cookie string in format "name=value; name2=value2"
+ * @param {string} cookieString - Cookie string in format "name=value; name2=value2", a JSON
+ *   cookie export or the contents of a cookies.txt file
  * @param {string} [existingSessionId] - Optional session ID to reuse (for recreation)
  * @param {Object} [existingFingerprint] - Optional fingerprint to reuse (for recreation)
  * @param {Object} [proxy] - Optional proxy configuration {server, username?, password?}
- * @returns {Promise<string>} Session ID
+ * @param {Object} [localeSettings] - Optional {locale, timezoneId} for the browser (ignored when
+ *   reusing a fingerprint, which already carries them)
+ * @param {Object} [asset] - Optional {businessId, assetId, senderNumber} to send from; without
+ *   ids the inbox opens whichever asset Meta picks by default, and the session keeps that one
+ * @param {string|null} [cookieFormat] - 'string' | 'json' | 'netscape', detected when null
+ * @returns {Promise<Object>} {sessionId, ipAddress, locale, timezoneId, uiLanguage, asset, health,
+ *   cookieFormat, rejectedCookies, warnings}
+ * @throws {CapacityError} If the session limit or the launch queue is full (see admission.js)
  */
-export async function createSession(cookieString, existingSessionId = null, existingFingerprint = null, proxy = null) {
+export async function createSession(cookieString, existingSessionId = null, existingFingerprint = null, proxy = null, localeSettings = {}, asset = {}, cookieFormat = null) {
   if (!cookieString || !cookieString.trim()) {
     throw new InvalidInputError('Cookies are required');
   }
+  // Throws before a browser is launched for unusable input
+  const parsed = readCookieInput(cookieString, cookieFormat);
+  for (const warning of parsed.warnings) {
+    console.warn(`[SessionManager] ⚠️  ${warning}`);
+  }
 
   // Use existing sessionId if provided (for recreation), otherwise generate new one
   const sessionId = existingSessionId || uuidv4();
+
+  // Wait for a launch slot; only client requests (no session id yet) can be turned away
+  // for the session limit or a full queue, restores and crash recoveries wait their turn
+  const releaseLaunch = await acquireLaunchSlot({
+    sessionCount: countLiveSessions(),
+    newSession: !sessions.has(sessionId),
+    limited: !existingSessionId,
+  });
+
   let browser = null;
   let context = null;
   let page = null;
@@ -91,32 +181,26 @@ export async function createSession(cookieString, existingSessionId = null, exis
     const proxyConfig = proxy || config.proxy || null;
     
     // Create browser instance with existing fingerprint and proxy if provided (for recreation)
-    const browserInstance = await createBrowser(sessionId, existingFingerprint, proxyConfig);
+    const browserInstance = await createBrowser(sessionId, existingFingerprint, proxyConfig, localeSettings);
     browser = browserInstance.browser;
     context = browserInstance.context;
     page = browserInstance.page;
 
-    // Parse and set cookies
-    const cookies = parseCookieString(cookieString);
-    if (cookies.length === 0) {
-      throw new InvalidInputError('No valid cookies found in the input string');
+    // Set cookies, with the attributes the export carried
+    const rejectedCookies = [...parsed.rejected, ...await addSessionCookies(context, parsed.cookies)];
+    if (rejectedCookies.length > 0) {
+      console.warn(`[SessionManager] ⚠️  Rejected ${rejectedCookies.length} cookie(s): ${rejectedCookies.map(({ name }) => name).join(', ')}`);
     }
 
-    // Convert to Playwright format and set for multiple domains
-    const domains = ['business.facebook.com', '.facebook.com'];
-    for (const domain of domains) {
-      try {
-        const playwrightCookies = toPlaywrightCookies(cookies, domain);
-        await context.addCookies(playwrightCookies);
-      } catch (error) {
-        // Some cookies might fail for certain domains, continue
-        console.warn(`[SessionManager] Failed to set cookies for ${domain}:`, error.message);
-      }
-    }
-
-    // Navigate to inbox
-    console.log(`[SessionManager] Navigating to ${INBOX_URL}...`);
-    await page.goto(INBOX_URL, {
+    // Navigate to the requested asset's inbox
+    const sessionAsset = {
+      businessId: asset.businessId || null,
+      assetId: asset.assetId || null,
+      senderNumber: asset.senderNumber || null,
+    };
+    const inboxUrl = buildInboxUrl(sessionAsset);
+    console.log(`[SessionManager] Navigating to ${inboxUrl}...`);
+    await page.goto(inboxUrl, {
       waitUntil: 'networkidle',
       timeout: 30000,
     });
@@ -128,12 +212,28 @@ export async function createSession(cookieString, existingSessionId = null, exis
       console.warn(`[SessionManager] ⚠️  Warning: Expected business.facebook.com, got: ${finalUrl}`);
     }
 
+    // Meta opens its default asset instead when the cookies can't access the requested one
+    if ((sessionAsset.businessId || sessionAsset.assetId) && !isInboxOf(finalUrl, sessionAsset)) {
+      throw new InvalidInputError(
+        `Business asset not available to these cookies (requested ${JSON.stringify({ businessId: sessionAsset.businessId, assetId: sessionAsset.assetId })}, inbox opened ${JSON.stringify(parseInboxAsset(finalUrl))})`
+      );
+    }
+    // Without requested ids, pin the asset Meta opened so the page can be brought back to it
+    // after a send with a per-message asset
+    const openedAsset = parseInboxAsset(finalUrl);
+    sessionAsset.businessId = sessionAsset.businessId || openedAsset.businessId;
+    sessionAsset.assetId = sessionAsset.assetId || openedAsset.assetId;
+
     // Wait a bit for page to fully load
     await page.waitForTimeout(2000);
     
     // Log page title to verify it loaded correctly
     const pageTitle = await page.title();
     console.log(`[SessionManager] Page title: ${pageTitle}`);
+
+    // The inbox language follows the account settings, not the browser locale
+    const uiLanguage = await detectUiLanguage(page);
+    console.log(`[SessionManager] Inbox UI language: ${uiLanguage || 'unknown'}`);
     
     // Verify proxy is working by checking IP address
     let ipAddress = null;
@@ -171,6 +271,15 @@ export async function createSession(cookieString, existingSessionId = null, exis
       }
     }
 
+    // Notice incoming WhatsApp messages while the inbox stays open
+    if (config.inbound.enabled) {
+      try {
+        await startInboundWatcher(sessionId, page);
+      } catch (error) {
+        console.warn(`[SessionManager] ⚠️  Could not start inbound watcher: ${error.message}`);
+      }
+    }
+
     // Start activity simulation
     activityTimer = startActivitySimulation(page, sessionId);
 
@@ -184,9 +293,23 @@ export async function createSession(cookieString, existingSessionId = null, exis
       lastActivity: Date.now(),
       fingerprint: browserInstance.fingerprint, // Save the fingerprint
       ipAddress: ipAddress, // Save the IP address
+      uiLanguage, // Updated on every send
+      asset: sessionAsset, // Verified before every send
+      health: null, // Set by the health probe, see sessionHealth.js
+      destroying: false,
+      // Kept in memory so a crashed browser can be relaunched without the client
+      credentials: { cookieString, cookieFormat: parsed.format, proxy: proxyConfig },
+      recovery: { count: 0, lastRecoveredAt: null, lastReason: null },
+      recovering: null, // Pending relaunch, shared by everyone waiting for it
     };
     sessions.set(sessionId, sessionData);
 
+    // Expired cookies still create a session, the health status tells the client
+    await checkSessionHealth(sessionId, sessionData);
+    startHealthMonitor(sessionId, sessionData);
+    browser.on('disconnected', () => scheduleRecovery(sessionId, sessionData, 'Browser disconnected'));
+    page.on('crash', () => scheduleRecovery(sessionId, sessionData, 'Page crashed'));
+
         // Save session metadata to disk (for dev mode persistence)
         // Only save if session was successfully created (we're past the error handling)
         if (config.devMode) {
@@ -199,6 +322,14 @@ export async function createSession(cookieString, existingSessionId = null, exis
     return {
       sessionId,
       ipAddress,
+      locale: browserInstance.fingerprint.locale,
+      timezoneId: browserInstance.fingerprint.timezoneId,
+      uiLanguage,
+      asset: sessionAsset,
+      health: sessionData.health,
+      cookieFormat: parsed.format,
+      rejectedCookies,
+      warnings: parsed.warnings,
     };
   } catch (error) {
     // Cleanup on error
@@ -211,6 +342,8 @@ export async function createSession(cookieString, existingSessionId = null, exis
       throw error;
     }
     throw new BrowserCrashError(`Failed to create session: ${error.message}`);
+  } finally {
+    releaseLaunch();
   }
 }
 
@@ -227,6 +360,23 @@ export function getSession(sessionId) {
   return session;
 }
 
+/**
+ * Get a session that is able to send
+ * Degraded sessions are allowed through, they often recover on the next page load.
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Session object
+ * @throws {SessionNotFoundError} If the session doesn't exist
+ * @throws {SessionUnhealthyError} If the session is logged out, at a checkpoint or crashed
+ */
+export function assertSessionHealthy(sessionId) {
+  const session = getSession(sessionId);
+  const { status, reason } = session.health || {};
+  if (UNHEALTHY_STATUSES.includes(status)) {
+    throw new SessionUnhealthyError(sessionId, status, reason);
+  }
+  return session;
+}
+
 /**
  * Destroy a session
  * @param {string} sessionId - Session ID
@@ -237,22 +387,15 @@ export async function destroySession(sessionId) {
     throw new SessionNotFoundError(sessionId);
   }
 
-  try {
-    // Clear activity timer
-    if (session.activityTimer) {
-      clearInterval(session.activityTimer);
-    }
+  // Queued sends can't run without the page
+  cancelSessionJobs(sessionId);
 
-    // Close page, context, and browser
-    if (session.page) {
-      await session.page.close().catch(() => {});
-    }
-    if (session.context) {
-      await session.context.close().catch(() => {});
-    }
-    if (session.browser) {
-      await session.browser.close().catch(() => {});
+  try {
+    // Let a relaunch in progress finish, then close whichever browser is current
+    if (session.recovering) {
+      await session.recovering.catch(() => {});
     }
+    await closeSessionBrowser(sessionId, sessions.get(sessionId) || session);
   } catch (error) {
     console.warn(`[SessionManager] Error destroying session ${sessionId}:`, error.message);
   } finally {
@@ -263,6 +406,7 @@ export async function destroySession(sessionId) {
     if (config.devMode) {
       await removeSessionMetadata(sessionId);
     }
+    await removeSessionSubscriptions(sessionId);
     
     console.log(`[SessionManager] ✓ Session destroyed: ${sessionId}`);
     console.log(`[SessionManager] Active sessions: ${sessions.size}`);
@@ -270,33 +414,427 @@ export async function destroySession(sessionId) {
 }
 
 /**
- * Send a message using a session
+ * Stop a session's timers and watchers and close its browser
+ * The session stays registered; closing the browser is not reported as a crash.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - Session record
+ */
+async function closeSessionBrowser(sessionId, session) {
+  session.destroying = true;
+  stopInboundWatcher(sessionId);
+  stopHealthMonitor(sessionId);
+  if (session.activityTimer) {
+    clearInterval(session.activityTimer);
+  }
+
+  // Close page, context, and browser
+  if (session.page) {
+    await session.page.close().catch(() => {});
+  }
+  if (session.context) {
+    await session.context.close().catch(() => {});
+  }
+  if (session.browser) {
+    await session.browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Whether a Playwright error means the browser or page is gone
+ */
+function isBrowserCrash(error) {
+  return (
+    error.message.includes('Target closed') ||
+    error.message.includes('Browser closed') ||
+    error.message.includes('Session closed') ||
+    error.message.includes('has been closed')
+  );
+}
+
+/**
+ * Make the cookies the session's browser holds its credentials
+ * Meta rotates tokens while a session runs, so a relaunch with the cookies the session was
+ * created with may be logged out. Taken after every successful send and before a relaunch;
+ * when the browser is already gone the last snapshot is kept.
+ */
+async function syncSessionCookies(sessionId, session) {
+  try {
+    const cookies = await session.context.cookies(COOKIE_DOMAINS.map((domain) => `https://${domain.replace(/^\./, '')}`));
+    if (cookies.length === 0) {
+      return;
+    }
+    // Playwright marks host-only cookies by a domain without the leading dot
+    const cookieString = JSON.stringify(cookies.map((cookie) => ({ ...cookie, hostOnly: !cookie.domain.startsWith('.') })));
+    Object.assign(session.credentials, { cookieString, cookieFormat: 'json' });
+    if (config.devMode) {
+      await saveSessionMetadata(sessionId, session, cookieString, session.credentials.proxy);
+    }
+  } catch (error) {
+    console.warn(`[SessionManager] Could not read the live cookies of session ${sessionId}, keeping the last ones: ${error.message}`);
+  }
+}
+
+/**
+ * Relaunch a crashed session's browser under the same session id
+ * Reuses the fingerprint, proxy and business asset the session was created with, and its
+ * latest cookies (see syncSessionCookies). Concurrent callers share one relaunch.
  * @param {string} sessionId - Session ID
- * @param {Object} options - {extension, phoneNumber, message}
+ * @param {string} reason - What crashed (kept in the session's recovery record)
+ * @returns {Promise<Object>} The relaunched session
+ * @throws {BrowserCrashError} If recovery is disabled, exhausted or the relaunch fails
  */
-export async function sendMessageForSession(sessionId, { extension, phoneNumber, message }) {
+function recoverSession(sessionId, reason) {
   const session = getSession(sessionId);
+  if (!session.recovering) {
+    session.recovering = relaunchSession(sessionId, session, reason).finally(() => {
+      session.recovering = null;
+    });
+  }
+  return session.recovering;
+}
+
+async function relaunchSession(sessionId, session, reason) {
+  const { recovery } = session;
+  if (!config.recovery.enabled) {
+    await abandonSession(sessionId, session, reason);
+    throw new BrowserCrashError(`Browser crashed for session ${sessionId}`);
+  }
+  if (recovery.count >= config.recovery.maxRecoveries) {
+    await abandonSession(sessionId, session, reason);
+    throw new BrowserCrashError(`Browser crashed for session ${sessionId} (gave up after ${recovery.count} recoveries)`);
+  }
+
+  console.warn(`[SessionManager] Recovering session ${sessionId} after crash: ${reason}`);
+  setSessionHealth(sessionId, session, { status: 'recovering', reason });
+  // A crashed page leaves its context readable
+  if (session.browser.isConnected()) {
+    await syncSessionCookies(sessionId, session);
+  }
+  await closeSessionBrowser(sessionId, session);
+
+  try {
+    const { cookieString, cookieFormat, proxy } = session.credentials;
+    await createSession(cookieString, sessionId, session.fingerprint, proxy, {}, session.asset, cookieFormat);
+  } catch (error) {
+    setSessionHealth(sessionId, session, { status: 'crashed', reason: `Recovery failed: ${error.message}` });
+    throw new BrowserCrashError(`Browser crashed for session ${sessionId} and could not be relaunched: ${error.message}`);
+  }
+
+  // createSession registered a fresh record, carry the session's history over
+  const recovered = getSession(sessionId);
+  recovered.createdAt = session.createdAt;
+  recovered.recovery = { count: recovery.count + 1, lastRecoveredAt: Date.now(), lastReason: reason };
+  console.log(`[SessionManager] ✓ Session ${sessionId} recovered (${recovered.recovery.count} so far)`);
+  return recovered;
+}
+
+/**
+ * Mark a session crashed for good
+ * Whatever is left of its browser (its context, in pool mode) is closed, so it no longer takes
+ * up room; the record stays until the client destroys the session.
+ */
+async function abandonSession(sessionId, session, reason) {
+  setSessionHealth(sessionId, session, { status: 'crashed', reason });
+  await closeSessionBrowser(sessionId, session);
+}
+
+/**
+ * Mark a session crashed and queue its relaunch
+ * Runs as a job so queued sends wait for the new browser instead of failing on the dead one.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - The session record whose browser or page went away
+ * @param {string} reason - What happened
+ */
+function scheduleRecovery(sessionId, session, reason) {
+  if (sessions.get(sessionId) !== session || session.destroying) {
+    return;
+  }
+  const recoverable = config.recovery.enabled && session.recovery.count < config.recovery.maxRecoveries;
+  if (!recoverable) {
+    abandonSession(sessionId, session, reason).catch((error) => {
+      console.warn(`[SessionManager] Could not close the browser of crashed session ${sessionId}: ${error.message}`);
+    });
+    return;
+  }
+  setSessionHealth(sessionId, session, { status: 'recovering', reason });
+  stopInboundWatcher(sessionId);
+
+  const job = enqueueJob(sessionId, 'recover-session', async () => {
+    // A send that hit the crash first may already have relaunched the browser
+    if (getSession(sessionId) !== session) {
+      return null;
+    }
+    const recovered = await recoverSession(sessionId, reason);
+    return { recovery: recovered.recovery };
+  });
+  job.promise.catch((error) => {
+    console.warn(`[SessionManager] Could not recover session ${sessionId}: ${error.message}`);
+  });
+}
+
+/**
+ * Queue a message send for a session
+ * Sends for the same session run one at a time, in arrival order, so overlapping
+ * requests never drive the same page concurrently.
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - {extension, phoneNumber, country?, message, threadId?, attachments?,
+ *   template?, templateParams?, asset?} (extension is the calling code and country the ISO code
+ *   from parsePhoneNumber, attachments as returned by parseAttachments, asset overrides the
+ *   session's business asset for this message)
+ * @param {Object} [flags] - {dryRun}: fill the dialog without sending,
+ *   {sendPath}: 'new_number' | 'existing_thread' | 'auto' (see sendMessage)
+ * @returns {Object} Job record (its `promise` settles when the send finishes)
+ */
+export function queueMessageForSession(sessionId, options, { dryRun = false, sendPath = 'new_number' } = {}) {
+  // Fail fast for unknown or unhealthy sessions instead of queueing a job that can never run
+  assertSessionHealthy(sessionId);
+
+  return enqueueJob(sessionId, dryRun ? 'dry-run' : 'send-message', (job) =>
+    sendMessageForSession(sessionId, options, { jobId: job.jobId, dryRun, sendPath })
+  );
+}
+
+/**
+ * Combine a session's business asset with a per-message override
+ * Ids are overridden together (an asset belongs to one business), the sender number on its own.
+ * @param {Object} [sessionAsset] - {businessId, assetId, senderNumber} set at creation
+ * @param {Object} [override] - {businessId?, assetId?, senderNumber?} for one message
+ * @returns {{businessId: string|null, assetId: string|null, senderNumber: string|null}}
+ */
+function resolveAsset(sessionAsset, override) {
+  const base = { businessId: null, assetId: null, senderNumber: null, ...sessionAsset };
+  if (!override) {
+    return base;
+  }
+  const ids = override.businessId || override.assetId
+    ? { businessId: override.businessId || null, assetId: override.assetId || null }
+    : { businessId: base.businessId, assetId: base.assetId };
+  return { ...ids, senderNumber: override.senderNumber || base.senderNumber };
+}
+
+/**
+ * Bring the session's page back to its own inbox after a send with a per-message asset
+ * Inbox reads and the inbound watcher work on whatever inbox the shared page shows.
+ */
+async function returnToSessionInbox(sessionId, session) {
+  if (session.page.isClosed()) {
+    return;
+  }
+  try {
+    await session.page.goto(buildInboxUrl(session.asset), { waitUntil: 'networkidle', timeout: 30000 });
+    console.log(`[SessionManager] Returned session ${sessionId} to its own inbox`);
+  } catch (error) {
+    console.warn(`[SessionManager] Could not return session ${sessionId} to its own inbox: ${error.message}`);
+  }
+}
+
+/**
+ * Send a message using a session
+ * Runs the automation immediately; callers should go through the session's job queue.
+ * Every attempt except dry runs is recorded in the message history. Attachments are
+ * staged in a temp directory for the duration of the send.
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - {extension, phoneNumber, country?, message, threadId?, attachments?,
+ *   template?, templateParams?, asset?} where asset {businessId?, assetId?, senderNumber?}
+ *   overrides the session's (see resolveAsset)
+ * @param {Object} [flags] - {jobId?, batchId?} for the history record, {recovered?} when
+ *   retrying after a crash recovery, remaining flags are passed through to sendMessage
+ *   (e.g. {reload, sendPath})
+ * @returns {Promise<Object>} {delivery, path, asset} verification result, send path and
+ *   asset used, or the dry run report
+ */
+export async function sendMessageForSession(sessionId, options, { jobId = null, batchId = null, recovered = false, ...flags } = {}) {
+  const { extension, phoneNumber, country = null, message, threadId = null, attachments = [], template = null, templateParams = {}, asset: override = null } = options;
+  // Jobs queued before the session went unhealthy stop here
+  const session = assertSessionHealthy(sessionId);
+  const asset = resolveAsset(session.asset, override);
+  const attempt = {
+    sessionId,
+    jobId,
+    batchId,
+    extension,
+    phoneNumber,
+    country,
+    threadId,
+    message,
+    attachments: describeAttachments(attachments),
+    template: template && { ...template, params: templateParams },
+    asset,
+    startedAt: Date.now(),
+  };
+  let staged = null;
+
+  // Dry runs return their own screenshot, only real sends are traced
+  if (!flags.dryRun) {
+    await startTracing(session.context);
+  }
 
   try {
     // Update last activity
     session.lastActivity = Date.now();
 
+    if (attachments.length > 0) {
+      staged = await stageAttachments(attachments);
+    }
+
     // Run automation
-    await sendMessage(session.page, { extension, phoneNumber, message });
+    const result = await sendMessage(
+      session.page,
+      { extension, phoneNumber, country, message, threadId, files: staged?.files, template, templateParams, asset },
+      flags
+    );
+    if (result.uiLanguage) {
+      session.uiLanguage = result.uiLanguage;
+    }
+    if (result.dryRun) {
+      return result;
+    }
+    await stopTracing(session.context);
+    await syncSessionCookies(sessionId, session);
+    // Replies go out from the number the conversation is on
+    result.asset = { ...result.asset, senderNumber: result.path === 'new_number' ? asset.senderNumber : null };
+    recordSendAttempt({ ...attempt, status: 'sent', delivery: result.delivery, path: result.path, asset: result.asset, finishedAt: Date.now() });
+    return result;
   } catch (error) {
-    // If browser crashed, mark session as dead
-    if (
-      error.message.includes('Target closed') ||
-      error.message.includes('Browser closed') ||
-      error.message.includes('Session closed')
-    ) {
-      sessions.delete(sessionId);
-      throw new BrowserCrashError(`Browser crashed for session ${sessionId}`);
+    let failure = error;
+    let retry = false;
+    let delivery = error.details?.delivery;
+
+    // If browser crashed, relaunch it and retry the send once, unless Send was already
+    // clicked: the message may have left, and a retry could send it twice. Without a
+    // relaunch the session's browser is closed and it stays listed as crashed until destroyed
+    if (isBrowserCrash(error)) {
+      setSessionHealth(sessionId, session, { status: 'crashed', reason: error.message });
+      stopInboundWatcher(sessionId);
+      const maybeSent = SENT_STEPS.includes(error.step);
+      if (maybeSent) {
+        delivery = { status: 'unverified', error: 'Browser crashed after Send was clicked' };
+        failure = new AutomationError(
+          `Browser crashed for session ${sessionId} after Send was clicked, the message may have been sent (not retried)`,
+          { delivery },
+          error.step
+        );
+      } else {
+        failure = new BrowserCrashError(`Browser crashed for session ${sessionId}`);
+      }
+      try {
+        await recoverSession(sessionId, error.message);
+        retry = !maybeSent && !recovered;
+      } catch (recoveryError) {
+        failure = recoveryError;
+      }
+    } else if (!flags.dryRun) {
+      // Keep the page state for debugging and point the client at it
+      const artifactId = await captureFailureArtifacts(sessionId, session.page, session.context, {
+        jobId,
+        step: error.step,
+        error,
+      });
+      if (artifactId && error instanceof AutomationError) {
+        const details = error.details instanceof Error ? { cause: error.details.message } : error.details;
+        error.details = { ...details, artifactId };
+      }
+      attempt.artifactId = artifactId;
+      // A failed send is often the first sign of a logout or checkpoint
+      await checkSessionHealth(sessionId, session).catch(() => {});
+    }
+
+    if (!flags.dryRun) {
+      recordSendAttempt({
+        ...attempt,
+        status: 'failed',
+        step: error.step,
+        path: error.path,
+        error: failure.message,
+        delivery,
+        finishedAt: Date.now(),
+      });
+    }
+    if (retry) {
+      console.log(`[SessionManager] Retrying send on recovered session ${sessionId}`);
+      return sendMessageForSession(sessionId, options, { jobId, batchId, recovered: true, ...flags });
+    }
+    throw failure;
+  } finally {
+    if (staged) {
+      await cleanupAttachments(staged.dir);
+    }
+    if (asset.businessId !== session.asset.businessId || asset.assetId !== session.asset.assetId) {
+      await returnToSessionInbox(sessionId, session);
     }
-    throw error;
   }
 }
 
+/**
+ * Read the cookies the session's browser currently holds for the inbox
+ * Includes tokens Meta rotated since the session was created.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<{cookieString: string, cookies: Array<Object>}>} Cookie string (one value per
+ *   name, the parent domain's winning) and the full Playwright cookies
+ */
+export async function getSessionCookies(sessionId) {
+  const session = getSession(sessionId);
+  if (!session.browser.isConnected()) {
+    throw new SessionUnhealthyError(sessionId, session.health?.status || 'crashed', 'The browser is not running');
+  }
+
+  const cookies = await session.context.cookies(`https://${COOKIE_DOMAINS[0]}`);
+  const byName = new Map();
+  for (const cookie of cookies) {
+    if (!byName.has(cookie.name) || cookie.domain === '.facebook.com') {
+      byName.set(cookie.name, cookie);
+    }
+  }
+  return {
+    cookieString: toCookieString([...byName.values()]),
+    cookies,
+  };
+}
+
+/**
+ * Replace the cookies of a running session without relaunching its browser
+ * Runs through the session's job queue: the inbox is reloaded with the new cookies and the
+ * session's health checked again. The new cookies are also used for crash recovery.
+ * @param {string} sessionId - Session ID
+ * @param {string} cookieString - Cookie string, JSON export or cookies.txt contents
+ * @param {string|null} [cookieFormat] - 'string' | 'json' | 'netscape', detected when null
+ * @returns {Promise<Object>} {health, cookieFormat, rejectedCookies, warnings} with the
+ *   session's health after the reload
+ * @throws {InvalidInputError} If no usable cookies could be parsed
+ */
+export async function replaceSessionCookies(sessionId, cookieString, cookieFormat = null) {
+  const parsed = readCookieInput(cookieString, cookieFormat);
+  const current = getSession(sessionId);
+  const credentials = { cookieString, cookieFormat: parsed.format };
+
+  // A relaunch (in progress or later) picks the new cookies up from here
+  Object.assign(current.credentials, credentials);
+  if (config.devMode) {
+    await saveSessionMetadata(sessionId, current, cookieString, current.credentials.proxy);
+  }
+
+  const job = enqueueJob(sessionId, 'replace-cookies', async () => {
+    const session = getSession(sessionId);
+    if (!session.browser.isConnected()) {
+      return { health: session.health, rejected: [] };
+    }
+    Object.assign(session.credentials, credentials);
+    await session.context.clearCookies();
+    const rejected = await addSessionCookies(session.context, parsed.cookies);
+    await session.page.goto(buildInboxUrl(session.asset), { waitUntil: 'networkidle', timeout: 30000 });
+    session.lastActivity = Date.now();
+    console.log(`[SessionManager] ✓ Replaced cookies for session ${sessionId} (${parsed.cookies.length - rejected.length} set)`);
+    return { health: await checkSessionHealth(sessionId, session), rejected };
+  });
+  const { health, rejected } = await job.promise;
+  return {
+    health,
+    cookieFormat: parsed.format,
+    rejectedCookies: [...parsed.rejected, ...rejected],
+    warnings: parsed.warnings,
+  };
+}
+
 /**
  * Get all active session IDs
  * @returns {Array<string>} Array of session IDs
@@ -319,77 +857,153 @@ export function getSessionInfo(sessionId) {
     sessionId,
     createdAt: session.createdAt,
     lastActivity: session.lastActivity,
-    status: 'active',
+    locale: session.fingerprint.locale,
+    timezoneId: session.fingerprint.timezoneId,
+    uiLanguage: session.uiLanguage,
+    asset: session.asset,
+    status: session.health?.status || 'active',
+    health: session.health,
+    recovery: session.recovery,
+  };
+}
+
+/**
+ * Sessions that hold (or are relaunching) a browser
+ * Crashed ones had theirs closed (see abandonSession) and keep only their record until
+ * destroyed; one whose browser is still up (only its page was lost) keeps counting.
+ */
+function countLiveSessions() {
+  return [...sessions.values()].filter((session) => (
+    session.health?.status !== 'crashed' || session.browser?.isConnected()
+  )).length;
+}
+
+/**
+ * Session and launch capacity of this instance
+ * @returns {Object} See getCapacity in admission.js
+ */
+export function getSessionCapacity() {
+  return getCapacity(countLiveSessions());
+}
+
+/**
+ * Apply a transform to the secret fields of a metadata record (cookie string, proxy password)
+ */
+function mapSecrets(record, transform) {
+  return {
+    ...record,
+    cookieString: transform(record.cookieString),
+    proxy: record.proxy ? { ...record.proxy, password: transform(record.proxy.password) } : record.proxy,
   };
 }
 
 /**
- * Save session metadata to disk
+ * Whether this instance restores a stored session record
+ * Records carry the instance that created them, so instances sharing a Redis store don't
+ * each relaunch every session. Records written before instance ids were stored are only
+ * restored from the file store, which is never shared.
+ */
+function ownsRecord(record) {
+  return record.instanceId ? record.instanceId === config.store.instanceId : sessionStore.backend === 'file';
+}
+
+/**
+ * Save session metadata to the session store
+ * The cookie string and proxy password are encrypted when SECRETS_KEY is set.
  */
 async function saveSessionMetadata(sessionId, sessionData, cookieString, proxy = null) {
   try {
-    let metadata = {};
-    try {
-      const data = await fs.readFile(SESSIONS_FILE, 'utf-8');
-      metadata = JSON.parse(data);
-    } catch {
-      // File doesn't exist yet, start fresh
-    }
-
-    metadata[sessionId] = {
+    await sessionStore.put(sessionId, mapSecrets({
       sessionId,
+      instanceId: config.store.instanceId, // Only this instance restores it
       createdAt: sessionData.createdAt,
       lastActivity: sessionData.lastActivity,
       profilePath: `session-${sessionId}`,
       cookieString: cookieString, // Save the cookie string for reconnection
+      cookieFormat: sessionData.credentials.cookieFormat, // How to read cookieString back
       fingerprint: sessionData.fingerprint, // Save the fingerprint for recreation
       proxy: proxy || null, // Save proxy config if provided
-    };
-
-    await fs.writeFile(SESSIONS_FILE, JSON.stringify(metadata, null, 2));
+      asset: sessionData.asset, // Business asset and sender number chosen at creation
+    }, encryptSecret));
   } catch (error) {
     console.warn(`[SessionManager] Failed to save session metadata: ${error.message}`);
   }
 }
 
 /**
- * Load session metadata from disk
+ * Load the session metadata this instance owns from the session store
  */
 async function loadSessionMetadata() {
   try {
-    const data = await fs.readFile(SESSIONS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch {
+    const records = Object.entries(await sessionStore.list());
+    const unclaimed = records.filter(([, record]) => !record.instanceId && !ownsRecord(record));
+    if (unclaimed.length > 0) {
+      console.warn(`[SessionManager] ⚠️  Skipping ${unclaimed.length} stored session(s) without an instance id; recreate them to restore them on restart`);
+    }
+    return Object.fromEntries(records.filter(([, record]) => ownsRecord(record)));
+  } catch (error) {
+    console.warn(`[SessionManager] Failed to load session metadata: ${error.message}`);
     return {};
   }
 }
 
 /**
- * Remove session metadata from disk
+ * Remove session metadata from the session store
  */
 async function removeSessionMetadata(sessionId) {
   try {
-    let metadata = {};
+    await sessionStore.delete(sessionId);
+  } catch (error) {
+    console.warn(`[SessionManager] Failed to remove session metadata: ${error.message}`);
+  }
+}
+
+/**
+ * Check that the secrets in the session store can be decrypted, and re-encrypt records
+ * stored in plain text or with a previous key (called on startup)
+ * @throws {SecretsError} If a record is encrypted and the configured keys can't read it
+ * @throws {StoreError} If the session store can't be read
+ */
+export async function verifyStoredSecrets() {
+  const metadata = await sessionStore.list();
+  // Other instances' records are theirs to read and re-encrypt
+  const entries = Object.entries(metadata).filter(([, record]) => ownsRecord(record));
+  const secrets = entries.flatMap(([, record]) => [record.cookieString, record.proxy?.password]);
+
+  for (const [sessionId, record] of entries) {
     try {
-      const data = await fs.readFile(SESSIONS_FILE, 'utf-8');
-      metadata = JSON.parse(data);
-    } catch {
-      return;
+      assertReadable(record.cookieString);
+      assertReadable(record.proxy?.password);
+    } catch (error) {
+      throw new SecretsError(`Cannot read session ${sessionId} from the ${sessionStore.backend} store (${sessionStore.location}): ${error.message}`);
     }
+  }
 
-    delete metadata[sessionId];
-    await fs.writeFile(SESSIONS_FILE, JSON.stringify(metadata, null, 2));
-  } catch (error) {
-    console.warn(`[SessionManager] Failed to remove session metadata: ${error.message}`);
+  if (!hasSecretsKey()) {
+    if (secrets.some((value) => typeof value === 'string')) {
+      console.warn(`[SessionManager] ⚠️  Session secrets in the ${sessionStore.backend} store are stored unencrypted; set SECRETS_KEY to encrypt them`);
+    }
+    return;
+  }
+  if (!secrets.some(needsReencryption)) {
+    return;
   }
+
+  const stale = entries.filter(([, record]) => [record.cookieString, record.proxy?.password].some(needsReencryption));
+  for (const [sessionId, record] of stale) {
+    await sessionStore.put(sessionId, mapSecrets(record, (value) => encryptSecret(decryptSecret(value))));
+  }
+  console.log(`[SessionManager] ✓ Re-encrypted secrets of ${stale.length} session(s) with the current key`);
 }
 
 /**
  * Recreate a session using saved cookie string and fingerprint (for dev mode)
  * This creates a new session with the same sessionId, cookie string, and fingerprint
  */
-async function recreateSession(metadata) {
+async function recreateSession(storedMetadata) {
   try {
+    const metadata = mapSecrets(storedMetadata, decryptSecret);
+
     // Check if we have a saved cookie string
     if (!metadata.cookieString) {
       console.warn(`[SessionManager] No cookie string saved for session ${metadata.sessionId}, cannot recreate`);
@@ -412,13 +1026,16 @@ async function recreateSession(metadata) {
       metadata.cookieString,
       metadata.sessionId,
       metadata.fingerprint,
-      proxyConfig
+      proxyConfig,
+      {},
+      metadata.asset || {},
+      metadata.cookieFormat || null
     );
     
     console.log(`[SessionManager] ✓ Successfully recreated session ${result.sessionId}`);
     return result.sessionId;
   } catch (error) {
-    console.warn(`[SessionManager] Failed to recreate session ${metadata.sessionId}: ${error.message}`);
+    console.warn(`[SessionManager] Failed to recreate session ${storedMetadata.sessionId}: ${error.message}`);
     return null;
   }
 }
@@ -473,13 +1090,8 @@ export async function destroyAllSessions() {
   const sessionIds = Array.from(sessions.keys());
   await Promise.all(sessionIds.map((id) => destroySession(id).catch(() => {})));
   
-  // Clear metadata file in dev mode
-  if (config.devMode) {
-    try {
-      await fs.unlink(SESSIONS_FILE).catch(() => {});
-    } catch {
-      // Ignore
-    }
-  }
+  // destroySession removed each session's metadata; records of other instances sharing
+  // the store are left alone
+  await sessionStore.close().catch(() => {});
 }
 
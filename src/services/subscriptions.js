@@ -0,0 +1,145 @@
+/**
+ * Subscriptions - webhook URLs that receive a session's inbound message events
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { inboundEvents } from './inboundWatcher.js';
+import { deliverCallback } from './callbacks.js';
+import { SubscriptionNotFoundError } from '../errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Stored next to profiles/sessions.json so subscriptions survive restarts
+const SUBSCRIPTIONS_FILE = path.join(__dirname, '../../profiles/subscriptions.json');
+
+const EVENTS = ['message.received'];
+
+// subscriptionId -> subscription
+const subscriptions = new Map();
+
+let loadPromise = null;
+let writeChain = Promise.resolve();
+
+/**
+ * Load persisted subscriptions from disk (once)
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const data = await fs.readFile(SUBSCRIPTIONS_FILE, 'utf-8');
+        for (const subscription of JSON.parse(data)) {
+          subscriptions.set(subscription.subscriptionId, { ...subscription, lastDelivery: null });
+        }
+        console.log(`[Subscriptions] Loaded ${subscriptions.size} subscription(s)`);
+      } catch {
+        // File doesn't exist yet, start fresh
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Write all subscriptions to disk, serialized so writes never interleave
+ */
+function persist() {
+  writeChain = writeChain
+    .then(async () => {
+      // The last delivery is only kept in memory (undefined fields are left out of the JSON)
+      const stored = Array.from(subscriptions.values()).map((subscription) => ({ ...subscription, lastDelivery: undefined }));
+      const tmpFile = `${SUBSCRIPTIONS_FILE}.tmp`;
+      await fs.mkdir(path.dirname(SUBSCRIPTIONS_FILE), { recursive: true });
+      await fs.writeFile(tmpFile, JSON.stringify(stored, null, 2));
+      await fs.rename(tmpFile, SUBSCRIPTIONS_FILE);
+    })
+    .catch((error) => {
+      console.warn(`[Subscriptions] Failed to save subscriptions: ${error.message}`);
+    });
+  return writeChain;
+}
+
+/**
+ * Subscribe a webhook URL to a session's events
+ * @param {string} sessionId - Session ID
+ * @param {string} url - Absolute http(s) URL (validated by the caller)
+ * @returns {Promise<Object>} Subscription
+ */
+export async function createSubscription(sessionId, url) {
+  await ensureLoaded();
+
+  const subscription = {
+    subscriptionId: uuidv4(),
+    sessionId,
+    url,
+    events: EVENTS,
+    createdAt: Date.now(),
+    lastDelivery: null,
+  };
+  subscriptions.set(subscription.subscriptionId, subscription);
+  await persist();
+
+  console.log(`[Subscriptions] ✓ ${url} subscribed to session ${sessionId}`);
+  return subscription;
+}
+
+/**
+ * List a session's subscriptions
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} Subscriptions, oldest first
+ */
+export async function listSubscriptions(sessionId) {
+  await ensureLoaded();
+  return Array.from(subscriptions.values()).filter((subscription) => subscription.sessionId === sessionId);
+}
+
+/**
+ * Delete a subscription
+ * @param {string} sessionId - Session ID
+ * @param {string} subscriptionId - Subscription ID
+ */
+export async function deleteSubscription(sessionId, subscriptionId) {
+  await ensureLoaded();
+
+  const subscription = subscriptions.get(subscriptionId);
+  if (!subscription || subscription.sessionId !== sessionId) {
+    throw new SubscriptionNotFoundError(subscriptionId);
+  }
+  subscriptions.delete(subscriptionId);
+  await persist();
+}
+
+/**
+ * Delete every subscription of a destroyed session
+ * @param {string} sessionId - Session ID
+ */
+export async function removeSessionSubscriptions(sessionId) {
+  await ensureLoaded();
+
+  let removed = 0;
+  for (const [subscriptionId, subscription] of subscriptions) {
+    if (subscription.sessionId === sessionId) {
+      subscriptions.delete(subscriptionId);
+      removed += 1;
+    }
+  }
+  if (removed > 0) {
+    await persist();
+  }
+}
+
+// Forward inbound messages to the session's webhooks
+inboundEvents.on('message.received', async (event) => {
+  try {
+    for (const subscription of await listSubscriptions(event.sessionId)) {
+      subscription.lastDelivery = { url: subscription.url, status: 'pending', attempts: 0, lastError: null };
+      deliverCallback(subscription.url, { event: event.event, message: event }, subscription.lastDelivery);
+    }
+  } catch (error) {
+    console.error(`[Subscriptions] Unexpected error forwarding event ${event.id}:`, error);
+  }
+});
@@ -0,0 +1,27 @@
+/**
+ * Templates - lists the WhatsApp message templates available to a session
+ */
+
+import { getSession } from './sessionManager.js';
+import { enqueueJob } from './jobQueue.js';
+import { readTemplates, matchesTemplateLanguage } from './automation.js';
+
+/**
+ * List the templates offered by the session's new-conversation dialog
+ * Runs through the session's job queue since it opens the dialog on the shared page.
+ * @param {string} sessionId - Session ID
+ * @param {Object} [filters] - {language} only return templates in this language ("en_US", or "en" for all English variants)
+ * @returns {Promise<Array<Object>>} Templates {name, language, preview}
+ */
+export async function listTemplatesForSession(sessionId, { language } = {}) {
+  // Fail fast for unknown sessions instead of queueing a job that can never run
+  getSession(sessionId);
+
+  const job = enqueueJob(sessionId, 'list-templates', () => readTemplates(getSession(sessionId).page));
+  const templates = await job.promise;
+
+  if (!language) {
+    return templates;
+  }
+  return templates.filter((template) => matchesTemplateLanguage(template.language, language));
+}
@@ -0,0 +1,156 @@
+/**
+ * Thread Rows - parses the inbox thread list and the open conversation, shared by the inbox
+ * reader, the inbound watcher and delivery verification
+ */
+
+import crypto from 'crypto';
+import { getCatalog, getLabelTexts } from './selectorCatalog.js';
+
+/**
+ * Selectors and labels parseThreadRows needs, taken from the current catalog
+ * @returns {Object} Argument for parseThreadRows
+ */
+export function threadRowConfig() {
+  return {
+    rowSelector: getCatalog().selectors.threadListItem,
+    linkSelector: getCatalog().selectors.threadLink,
+    timeSelector: getCatalog().selectors.messageTime,
+    channelTexts: getLabelTexts('whatsappChannel').map((t) => t.toLowerCase()),
+    unreadTexts: getLabelTexts('unread').map((t) => t.toLowerCase()),
+  };
+}
+
+/**
+ * Parse every rendered thread row, in list order
+ * Runs inside the page (page.evaluate / the inbound watcher), so it must stay self-contained.
+ * @param {Object} rowConfig - From threadRowConfig()
+ * @returns {Array<Object>} Raw rows with their index in the thread list
+ */
+export function parseThreadRows({ rowSelector, linkSelector, timeSelector, channelTexts, unreadTexts }) {
+  const phonePattern = /\+?\d[\d\s().-]{6,}\d/;
+
+  return Array.from(document.querySelectorAll(rowSelector)).map((row, index) => {
+    const lines = (row.innerText || '')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    // Thread ID from the row's inbox link, e.g. ...?selected_item_id=123
+    let threadId = null;
+    const link = row.matches(linkSelector) ? row : row.querySelector(linkSelector);
+    if (link) {
+      try {
+        threadId = new URL(link.href, window.location.href).searchParams.get('selected_item_id');
+      } catch {
+        // Ignore malformed hrefs
+      }
+    }
+
+    // Channel and unread state are mostly exposed through icons and aria labels
+    const labels = [row, ...row.querySelectorAll('[aria-label], [alt], [title]')]
+      .map((el) => [el.getAttribute('aria-label'), el.getAttribute('alt'), el.getAttribute('title')].join(' '))
+      .join(' ')
+      .toLowerCase();
+    const isWhatsapp = channelTexts.some((text) => labels.includes(text));
+    let unread = unreadTexts.some((text) => labels.includes(text));
+    if (!unread && lines.length > 0) {
+      // Unread threads render the contact name in bold
+      const nameEl = Array.from(row.querySelectorAll('span')).find((el) => el.innerText && el.innerText.trim() === lines[0]);
+      unread = Boolean(nameEl && parseInt(window.getComputedStyle(nameEl).fontWeight, 10) >= 600);
+    }
+
+    const timeEl = row.querySelector(timeSelector);
+    const dateTime = timeEl
+      ? timeEl.getAttribute('datetime') || timeEl.getAttribute('data-tooltip-content') || timeEl.getAttribute('title')
+      : null;
+
+    const phoneLine = lines.find((line) => phonePattern.test(line));
+    return {
+      index,
+      threadId,
+      name: lines[0] || null,
+      phoneNumber: phoneLine ? phoneLine.match(phonePattern)[0].replace(/[^\d+]/g, '') : null,
+      // Row layout: name, last message preview, relative time ("2:34 PM", "Mon", "3d")
+      lastMessage: lines.length > 2 ? lines.slice(1, -1).join(' ') : lines[1] || null,
+      time: lines.length > 2 ? lines[lines.length - 1] : null,
+      dateTime,
+      channel: isWhatsapp ? 'whatsapp' : 'other',
+      unread,
+    };
+  });
+}
+
+/**
+ * Selectors parseMessageBubbles needs, taken from the current catalog
+ * @returns {Object} Argument for parseMessageBubbles (add `name` to require a contact)
+ */
+export function messagePaneConfig() {
+  return {
+    paneSelector: getCatalog().selectors.messagePane,
+    bubbleSelector: getCatalog().selectors.messageBubble,
+    timeSelector: getCatalog().selectors.messageTime,
+  };
+}
+
+/**
+ * Parse the message bubbles of the open conversation, oldest first
+ * Runs inside the page (page.evaluate), so it must stay self-contained.
+ * @param {Object} paneConfig - From messagePaneConfig(), with an optional contact `name` the
+ *   pane must show
+ * @returns {Array<{text: string, direction: 'inbound'|'outbound', dateTime: string|null}>|null}
+ *   Bubbles, or null when the pane isn't showing (that contact's) conversation
+ */
+export function parseMessageBubbles({ paneSelector, bubbleSelector, timeSelector, name = null }) {
+  const pane = document.querySelector(paneSelector);
+  if (!pane || (name && !(pane.innerText || '').includes(name))) {
+    return null;
+  }
+  const paneBox = pane.getBoundingClientRect();
+  const paneCenter = paneBox.left + paneBox.width / 2;
+
+  return Array.from(pane.querySelectorAll(bubbleSelector))
+    .map((bubble) => {
+      const text = (bubble.innerText || '').trim();
+      if (!text) return null;
+
+      // Outbound bubbles are right-aligned: find the narrowest box holding the text
+      let box = bubble.getBoundingClientRect();
+      for (const el of bubble.querySelectorAll('div')) {
+        const elBox = el.getBoundingClientRect();
+        if (elBox.width > 0 && elBox.width < box.width && (el.innerText || '').trim() === text) {
+          box = elBox;
+        }
+      }
+      const direction = box.left + box.width / 2 > paneCenter ? 'outbound' : 'inbound';
+
+      const timeEl = bubble.querySelector(timeSelector);
+      const dateTime = timeEl
+        ? timeEl.getAttribute('datetime') || timeEl.getAttribute('data-tooltip-content') || timeEl.getAttribute('title')
+        : null;
+
+      return { text, direction, dateTime };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Turn a raw row into the API shape, deriving a stable ID when the row has no link
+ * @param {Object} row - Row from parseThreadRows
+ * @returns {Object} Thread
+ */
+export function toThread(row) {
+  const threadId = row.threadId
+    || `h-${crypto.createHash('sha256').update(`${row.name}|${row.phoneNumber}`).digest('hex').substring(0, 16)}`;
+  const timestamp = row.dateTime ? Date.parse(row.dateTime) : NaN;
+
+  return {
+    threadId,
+    name: row.name,
+    phoneNumber: row.phoneNumber,
+    channel: row.channel,
+    lastMessage: row.lastMessage,
+    lastMessageTime: row.time,
+    lastMessageAt: Number.isNaN(timestamp) ? null : timestamp,
+    unread: row.unread,
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * File store - keeps records in one JSON file ({key: record})
+ * Every write goes to a temp file that is renamed over the original, so readers never see a
+ * half-written file, and read-modify-write updates are serialized so concurrent writers in
+ * this process don't lose each other's records. Not safe for several processes; use the
+ * Redis store for that.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StoreError } from '../errors.js';
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - JSON file holding all records
+ * @returns {Object} Store {backend, get, put, delete, list, close}
+ */
+export function createFileStore(filePath) {
+  let writeChain = Promise.resolve();
+
+  async function read() {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new StoreError(`Could not read ${filePath}: ${error.message}`);
+    }
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new StoreError(`${filePath} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async function write(records) {
+    const tmpFile = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify(records, null, 2));
+    await fs.rename(tmpFile, filePath);
+  }
+
+  /**
+   * Apply a change to the records and write them back, one change at a time
+   */
+  function update(change) {
+    const result = writeChain.then(async () => {
+      const records = await read();
+      change(records);
+      await write(records);
+    });
+    // Later updates run whether or not this one failed
+    writeChain = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    backend: 'file',
+    location: filePath,
+
+    async get(key) {
+      const records = await read();
+      return records[key] ?? null;
+    },
+
+    put(key, record) {
+      return update((records) => {
+        records[key] = record;
+      });
+    },
+
+    delete(key) {
+      return update((records) => {
+        delete records[key];
+      });
+    },
+
+    /**
+     * @returns {Promise<Object>} All records, {key: record}
+     */
+    list() {
+      return read();
+    },
+
+    async close() {
+      await writeChain;
+    },
+  };
+}
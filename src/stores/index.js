@@ -0,0 +1,36 @@
+/**
+ * Stores - where persistent records live, selected with STORE_BACKEND
+ * Every store has the same interface:
+ * - get(key) -> record or null
+ * - put(key, record) / delete(key), each atomic
+ * - list() -> {key: record}
+ * - close()
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFileStore } from './fileStore.js';
+import { createRedisStore } from './redisStore.js';
+import { config } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROFILES_DIR = path.join(__dirname, '../../profiles');
+
+/**
+ * Create the store for one kind of record
+ * @param {string} name - Kind of record, e.g. "sessions" (profiles/<name>.json, or the
+ *   Redis hash <REDIS_KEY_PREFIX><name>)
+ * @returns {Object} Store
+ */
+export function createStore(name) {
+  if (config.store.backend === 'redis') {
+    return createRedisStore({
+      url: config.store.redisUrl,
+      hash: `${config.store.redisKeyPrefix}${name}`,
+      timeoutMs: config.store.timeoutMs,
+    });
+  }
+  return createFileStore(path.join(PROFILES_DIR, `${name}.json`));
+}
@@ -0,0 +1,233 @@
+/**
+ * Redis store - keeps records as JSON strings in one Redis hash
+ * Speaks RESP (the Redis protocol) over a plain TCP connection, so anything that implements
+ * HGET/HSET/HDEL/HGETALL works, including a local stand-in for tests. Each record is written
+ * with a single atomic command, so several service instances can share the hash.
+ */
+
+import net from 'net';
+import { StoreError } from '../errors.js';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parse one RESP reply starting at `offset`
+ * @returns {{value: *, offset: number}|null} Reply (errors as StoreError values) and where the
+ *   next one starts, or null when the buffer doesn't hold a complete reply yet
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf-8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new StoreError(`Redis error: ${line}`), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf-8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new StoreError(`Unexpected Redis reply type ${JSON.stringify(type)}`);
+  }
+}
+
+/**
+ * Create a store backed by a Redis hash
+ * @param {Object} options
+ * @param {string} options.url - redis://[[username]:password@]host[:port][/db]
+ * @param {string} options.hash - Hash key holding the records
+ * @param {number} options.timeoutMs - Max wait for a reply
+ * @returns {Object} Store {backend, get, put, delete, list, close}
+ */
+export function createRedisStore({ url, hash, timeoutMs }) {
+  const target = new URL(url);
+  if (target.protocol !== 'redis:') {
+    throw new StoreError(`Unsupported Redis URL ${JSON.stringify(url)}: expected redis://host:port`);
+  }
+  const host = target.hostname || '127.0.0.1';
+  const port = Number(target.port || 6379);
+  const db = target.pathname.slice(1);
+  const username = decodeURIComponent(target.username);
+  const password = decodeURIComponent(target.password);
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  // Replies arrive in command order
+  const pending = [];
+
+  function failPending(error) {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let reply;
+    try {
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const { resolve, reject } = pending.shift();
+        if (reply.value instanceof StoreError) {
+          reject(reply.value);
+        } else {
+          resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      socket.destroy(error);
+    }
+  }
+
+  /**
+   * Write a command on the open connection and wait for its reply
+   */
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Drop the connection; commands after this open a new one
+   */
+  function disconnect(connection, error) {
+    if (socket !== connection) {
+      return;
+    }
+    socket = null;
+    connecting = null;
+    buffer = Buffer.alloc(0);
+    failPending(error);
+    connection.destroy();
+  }
+
+  /**
+   * Open the connection (once; again after it drops) and authenticate
+   */
+  function connect() {
+    if (connecting) {
+      return connecting;
+    }
+    const connection = net.createConnection({ host, port });
+    socket = connection;
+    connection.setTimeout(timeoutMs);
+    connection.on('data', onData);
+    connection.on('timeout', () => {
+      if (pending.length > 0 || connection.connecting) {
+        connection.destroy(new StoreError(`Redis at ${host}:${port} did not answer within ${timeoutMs}ms`));
+      }
+    });
+    connection.on('close', () => {
+      disconnect(connection, new StoreError(`Connection to Redis at ${host}:${port} closed`));
+    });
+
+    const attempt = new Promise((resolve, reject) => {
+      connection.once('connect', () => {
+        // An idle connection must not keep the process alive
+        connection.unref();
+        resolve();
+      });
+      connection.on('error', (error) => {
+        reject(new StoreError(`Redis at ${host}:${port}: ${error.message}`));
+      });
+    }).then(async () => {
+      if (password) {
+        await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+      if (db) {
+        await send(['SELECT', db]);
+      }
+    });
+    attempt.catch((error) => disconnect(connection, error));
+    connecting = attempt;
+    return attempt;
+  }
+
+  async function command(args) {
+    await connect();
+    return send(args);
+  }
+
+  return {
+    backend: 'redis',
+    location: `${host}:${port}${db ? `/${db}` : ''} ${hash}`,
+
+    async get(key) {
+      const value = await command(['HGET', hash, key]);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async put(key, record) {
+      await command(['HSET', hash, key, JSON.stringify(record)]);
+    },
+
+    async delete(key) {
+      await command(['HDEL', hash, key]);
+    },
+
+    /**
+     * @returns {Promise<Object>} All records, {key: record}
+     */
+    async list() {
+      const fields = await command(['HGETALL', hash]);
+      const records = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        records[fields[i]] = JSON.parse(fields[i + 1]);
+      }
+      return records;
+    },
+
+    async close() {
+      const connection = socket;
+      if (connection) {
+        await command(['QUIT']).catch(() => {});
+        disconnect(connection, new StoreError('Store closed'));
+      }
+    },
+  };
+}
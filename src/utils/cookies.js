@@ -1,8 +1,25 @@
 /**
- * Parse cookie strings from format "name=value; name2=value2"
- * Replicates the logic from background.js
+ * Parse cookies from a "name=value; name2=value2" string, a browser-extension / Playwright
+ * JSON export or a Netscape cookies.txt file
+ * The string parsing replicates the logic from background.js
  */
 
+// Supported inputs: header-style string, JSON export, Netscape cookies.txt
+export const COOKIE_FORMATS = ['string', 'json', 'netscape'];
+
+// Without these Meta shows a login screen
+export const REQUIRED_COOKIE_NAMES = ['c_user', 'xs'];
+
+const COOKIE_DOMAIN_PATTERN = /(^|\.)facebook\.com$/i;
+
+// Extension exports use Chrome's names, Playwright and cookies.txt tools the header's
+const SAME_SITE_VALUES = {
+  no_restriction: 'None',
+  none: 'None',
+  lax: 'Lax',
+  strict: 'Strict',
+};
+
 /**
  * Parse a cookie string like "name=value; name2=value2" into an array of {name, value} objects
  * @param {string} cookieString - Cookie string to parse
@@ -42,14 +59,212 @@ export function parseCookieString(cookieString) {
   return cookies;
 }
 
+/**
+ * Validate the cookies fields of a request body
+ * JSON exports may be sent as JSON (array / object) or as a string; they are kept as a
+ * string so every format can be stored and replayed the same way.
+ * @param {*} cookies - `cookies` field of the request body
+ * @param {*} [cookieFormat] - `cookieFormat` field of the request body
+ * @returns {{input: string, format: string|null}|{error: string}} Cookie input and requested
+ *   format (null to detect it), or what is wrong with the fields
+ */
+export function readCookieFields(cookies, cookieFormat) {
+  if (cookieFormat !== undefined && cookieFormat !== null && !COOKIE_FORMATS.includes(cookieFormat)) {
+    return { error: `Invalid cookieFormat. Expected one of: ${COOKIE_FORMATS.join(', ')}.` };
+  }
+  if (typeof cookies === 'string' && cookies.trim()) {
+    return { input: cookies, format: cookieFormat || null };
+  }
+  if (cookies && typeof cookies === 'object' && (!cookieFormat || cookieFormat === 'json')) {
+    return { input: JSON.stringify(cookies), format: 'json' };
+  }
+  return { error: 'Invalid cookies format. Expected a cookie string, a JSON cookie export or the contents of a cookies.txt file.' };
+}
+
+/**
+ * Guess the format of a cookie input
+ * @param {string|Array|Object} input - Cookie input as received in a request body
+ * @returns {string} One of COOKIE_FORMATS
+ */
+export function detectCookieFormat(input) {
+  if (typeof input !== 'string') {
+    return 'json';
+  }
+  const trimmed = input.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'json';
+  }
+  // cookies.txt: a header comment, or tab-separated lines with 7 fields
+  if (/^# ?(Netscape )?HTTP Cookie File/i.test(trimmed)
+    || trimmed.split(/\r?\n/).some((line) => line.split('\t').length === 7)) {
+    return 'netscape';
+  }
+  return 'string';
+}
+
+/**
+ * Check one full cookie and bring it to Playwright's shape
+ * @returns {{cookie: Object}|{reason: string}} Normalized cookie, or why it was rejected
+ */
+function normalizeCookie({ name, value, domain, hostOnly = false, path = '/', expires = -1, httpOnly = false, secure = false, sameSite }, now) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { reason: 'missing name' };
+  }
+  if (typeof value !== 'string') {
+    return { reason: 'value is not a string' };
+  }
+  if (typeof domain !== 'string' || !COOKIE_DOMAIN_PATTERN.test(domain.replace(/^\./, ''))) {
+    return { reason: `domain ${JSON.stringify(domain ?? null)} is not a facebook.com domain` };
+  }
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt)) {
+    return { reason: `invalid expiry ${JSON.stringify(expires)}` };
+  }
+  if (expiresAt > 0 && expiresAt * 1000 < now) {
+    return { reason: `expired at ${new Date(expiresAt * 1000).toISOString()}` };
+  }
+  const site = sameSite ? SAME_SITE_VALUES[String(sameSite).toLowerCase()] : 'Lax';
+  if (sameSite && !site && String(sameSite).toLowerCase() !== 'unspecified') {
+    return { reason: `invalid sameSite ${JSON.stringify(sameSite)}` };
+  }
+  if (site === 'None' && !secure) {
+    return { reason: 'sameSite None requires secure' };
+  }
+
+  const bare = domain.replace(/^\./, '').toLowerCase();
+  return {
+    cookie: {
+      name: name.trim(),
+      value,
+      // Playwright: a leading dot also matches subdomains, a bare host only itself
+      domain: hostOnly ? bare : `.${bare}`,
+      path: typeof path === 'string' && path.startsWith('/') ? path : '/',
+      // Session cookies are -1, Playwright's convention
+      expires: expiresAt > 0 ? Math.floor(expiresAt) : -1,
+      httpOnly: Boolean(httpOnly),
+      secure: Boolean(secure),
+      sameSite: site || 'Lax',
+    },
+  };
+}
+
+/**
+ * Read a JSON export: an array of cookies (Cookie-Editor, EditThisCookie, Playwright) or
+ * an object with a `cookies` array (Playwright storage state)
+ */
+function readJsonCookies(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { error: `Invalid JSON cookies: ${error.message}` };
+    }
+  }
+  const list = Array.isArray(data) ? data : data?.cookies;
+  if (!Array.isArray(list)) {
+    return { error: 'Invalid JSON cookies: expected an array of cookies or an object with a "cookies" array' };
+  }
+  return {
+    entries: list.map((entry) => {
+      if (!entry || typeof entry !== 'object') {
+        return { name: null };
+      }
+      // Extension exports: expirationDate and session; Playwright: expires
+      const expires = entry.session ? -1 : entry.expirationDate ?? entry.expires ?? -1;
+      return { ...entry, expires };
+    }),
+  };
+}
+
+/**
+ * Read a Netscape cookies.txt file
+ * Lines are: domain, include subdomains, path, secure, expiry, name, value (tab-separated);
+ * curl marks HttpOnly cookies with a "#HttpOnly_" domain prefix.
+ */
+function readNetscapeCookies(input) {
+  const entries = [];
+  for (let line of input.split(/\r?\n/)) {
+    const httpOnly = line.startsWith('#HttpOnly_');
+    if (httpOnly) {
+      line = line.slice('#HttpOnly_'.length);
+    }
+    if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      entries.push({ name: fields[5] || null, invalid: `expected 7 tab-separated fields, got ${fields.length}` });
+      continue;
+    }
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+    entries.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+      path,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: expires === '0' ? -1 : expires,
+      httpOnly,
+    });
+  }
+  return { entries };
+}
+
+/**
+ * Parse a cookie input in any supported format
+ * String cookies carry no attributes and come back with a null domain (see toPlaywrightCookies);
+ * JSON and cookies.txt cookies keep their domain, path, expiry, httpOnly, secure and sameSite.
+ * @param {string|Array|Object} input - Cookie input as received in a request body
+ * @param {string|null} [format] - One of COOKIE_FORMATS, detected when omitted
+ * @param {number} [now] - Current time in ms, for expiry checks
+ * @returns {{format: string, cookies: Array<Object>, rejected: Array<{name: string|null, reason: string}>,
+ *   missing: Array<string>, error?: string}} Usable cookies, rejected ones with the reason, and
+ *   the REQUIRED_COOKIE_NAMES not among the usable ones; `error` when the input can't be read at all
+ */
+export function parseCookies(input, format = null, now = Date.now()) {
+  const resolved = format || detectCookieFormat(input);
+  const result = { format: resolved, cookies: [], rejected: [], missing: [] };
+
+  if (resolved === 'string') {
+    if (typeof input !== 'string') {
+      return { ...result, error: 'String cookies must be a string' };
+    }
+    result.cookies = parseCookieString(input).map((cookie) => ({ ...cookie, domain: null }));
+  } else {
+    if (resolved === 'netscape' && typeof input !== 'string') {
+      return { ...result, error: 'cookies.txt cookies must be a string' };
+    }
+    const { entries, error } = resolved === 'json' ? readJsonCookies(input) : readNetscapeCookies(input);
+    if (error) {
+      return { ...result, error };
+    }
+    for (const entry of entries) {
+      const { cookie, reason } = entry.invalid ? { reason: entry.invalid } : normalizeCookie(entry, now);
+      if (cookie) {
+        result.cookies.push(cookie);
+      } else {
+        result.rejected.push({ name: typeof entry.name === 'string' ? entry.name : null, reason });
+      }
+    }
+  }
+
+  const names = new Set(result.cookies.map((cookie) => cookie.name));
+  result.missing = REQUIRED_COOKIE_NAMES.filter((name) => !names.has(name));
+  return result;
+}
+
 /**
  * Convert parsed cookies to Playwright cookie format
- * @param {Array<{name: string, value: string}>} cookies - Parsed cookies
- * @param {string} domain - Domain to set cookies for (e.g., "business.facebook.com")
+ * Cookies that already have a domain (JSON / cookies.txt) keep their attributes; string
+ * cookies have none and are set on `domain` with default attributes.
+ * @param {Array<Object>} cookies - Cookies from parseCookies or parseCookieString
+ * @param {string} domain - Domain to set attribute-less cookies for (e.g., "business.facebook.com")
  * @returns {Array} Playwright cookie format
  */
 export function toPlaywrightCookies(cookies, domain = 'business.facebook.com') {
-  return cookies.map((cookie) => ({
+  return cookies.map((cookie) => (cookie.domain ? cookie : {
     name: cookie.name,
     value: cookie.value,
     domain: domain.startsWith('.') ? domain : `.${domain}`,
@@ -60,3 +275,11 @@ export function toPlaywrightCookies(cookies, domain = 'business.facebook.com') {
   }));
 }
 
+/**
+ * Serialize cookies back to the "name=value; name2=value2" format parseCookieString accepts
+ * @param {Array<{name: string, value: string}>} cookies - Cookies (parsed or from Playwright)
+ * @returns {string} Cookie string
+ */
+export function toCookieString(cookies) {
+  return cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+}
@@ -0,0 +1,79 @@
+/**
+ * Minimal CSV parsing (RFC 4180 style: comma separated, double-quoted fields, "" escapes)
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into an array of objects keyed by column name
+ * @param {string} text - CSV text, first row is the header
+ * @returns {Array<Object>} One object per data row
+ */
+export function parseCsv(text) {
+  const rows = parseRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((name) => name.trim());
+  return rows.slice(1).map((values) => {
+    const record = {};
+    header.forEach((name, index) => {
+      if (name) {
+        record[name] = (values[index] || '').trim();
+      }
+    });
+    return record;
+  });
+}
@@ -1,8 +1,12 @@
 /**
  * Generate unique but realistic browser fingerprints
- * Language and timezone are fixed to English/US to ensure consistent button text matching
+ * Language and timezone default to English/US; button text matching follows the
+ * inbox UI language (see the selector catalog), so other locales can be requested
  */
 
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_TIMEZONE = 'America/New_York';
+
 const COMMON_RESOLUTIONS = [
   { width: 1920, height: 1080 },
   { width: 1366, height: 768 },
@@ -35,11 +39,55 @@ function randomChoice(array) {
   return array[Math.floor(Math.random() * array.length)];
 }
 
+/**
+ * Check that a locale is a valid BCP 47 language tag (e.g. "es-MX")
+ * @param {string} locale - Locale to check
+ * @returns {boolean}
+ */
+export function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale) {
+    return false;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a timezone is a valid IANA timezone name (e.g. "America/Sao_Paulo")
+ * @param {string} timezoneId - Timezone to check
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezoneId) {
+  if (typeof timezoneId !== 'string' || !timezoneId) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezoneId });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * navigator.languages for a locale: the locale itself, then its base language
+ * @param {string} locale - e.g. "pt-BR"
+ * @returns {Array<string>} e.g. ["pt-BR", "pt"]
+ */
+export function languagesForLocale(locale) {
+  const base = locale.split('-')[0];
+  return base === locale ? [locale] : [locale, base];
+}
+
 /**
  * Generate a unique browser fingerprint
+ * @param {Object} [options] - {locale, timezoneId} (defaults: en-US, America/New_York)
  * @returns {Object} Fingerprint object with viewport, userAgent, and other properties
  */
-export function generateFingerprint() {
+export function generateFingerprint({ locale = DEFAULT_LOCALE, timezoneId = DEFAULT_TIMEZONE } = {}) {
   const resolution = randomChoice(COMMON_RESOLUTIONS);
   const chromeVersion = randomChoice(CHROME_VERSIONS);
   const platform = randomChoice(PLATFORMS);
@@ -62,8 +110,9 @@ export function generateFingerprint() {
       height: resolution.height,
     },
     userAgent,
-    locale: 'en-US', // Fixed to English
-    timezoneId: 'America/New_York', // Fixed to US timezone
+    locale,
+    timezoneId,
+    languages: languagesForLocale(locale),
     platform,
     hardwareConcurrency,
     deviceMemory,
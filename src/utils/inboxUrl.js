@@ -0,0 +1,50 @@
+/**
+ * Inbox URLs - builds and parses Business Suite inbox URLs scoped to a business portfolio and asset
+ */
+
+export const INBOX_URL = 'https://business.facebook.com/latest/inbox';
+
+/**
+ * Build the inbox URL for a business asset
+ * Without ids Meta opens whichever asset it picks by default.
+ * @param {Object} [asset] - {businessId?, assetId?}
+ * @returns {string} Inbox URL
+ */
+export function buildInboxUrl({ businessId = null, assetId = null } = {}) {
+  const url = new URL(INBOX_URL);
+  if (businessId) url.searchParams.set('business_id', businessId);
+  if (assetId) url.searchParams.set('asset_id', assetId);
+  return url.toString();
+}
+
+/**
+ * Read the business and asset ids from an inbox URL
+ * @param {string} url - Page URL
+ * @returns {{businessId: string|null, assetId: string|null}}
+ */
+export function parseInboxAsset(url) {
+  try {
+    const { searchParams } = new URL(url);
+    return {
+      businessId: searchParams.get('business_id'),
+      assetId: searchParams.get('asset_id'),
+    };
+  } catch {
+    return { businessId: null, assetId: null };
+  }
+}
+
+/**
+ * Check that a page URL shows the inbox of the requested asset
+ * Only the ids that were requested are compared.
+ * @param {string} url - Page URL
+ * @param {Object} [asset] - {businessId?, assetId?}
+ * @returns {boolean}
+ */
+export function isInboxOf(url, { businessId = null, assetId = null } = {}) {
+  if (!url.includes('/latest/inbox')) {
+    return false;
+  }
+  const active = parseInboxAsset(url);
+  return (!businessId || active.businessId === businessId) && (!assetId || active.assetId === assetId);
+}
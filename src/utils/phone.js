@@ -0,0 +1,391 @@
+/**
+ * Phone numbers - offline E.164 parsing and validation
+ *
+ * The metadata table is a trimmed-down version of the ITU numbering plans: calling code,
+ * valid national (significant) number lengths and the trunk prefix dialled in front of
+ * national numbers. Countries sharing a calling code are told apart by the leading digits
+ * of the national number; the entry without `leading` is the default for its code.
+ */
+
+// North American Numbering Plan area codes outside the US
+const NANP_AREA_CODES = {
+  CA: '204|226|236|249|250|263|289|306|343|354|365|367|368|382|387|403|416|418|428|431|437|438|450|460|468|474|506|514|519|548|579|581|584|587|600|604|613|639|647|672|683|705|709|742|753|778|780|782|807|819|825|867|873|879|902|905|942',
+  AG: '268',
+  AI: '264',
+  AS: '684',
+  BB: '246',
+  BM: '441',
+  BS: '242',
+  DM: '767',
+  DO: '809|829|849',
+  GD: '473',
+  GU: '671',
+  JM: '658|876',
+  KN: '869',
+  KY: '345',
+  LC: '758',
+  MP: '670',
+  MS: '664',
+  PR: '787|939',
+  SX: '721',
+  TC: '649',
+  TT: '868',
+  VC: '784',
+  VG: '284',
+  VI: '340',
+};
+
+const NANP_NAMES = {
+  CA: 'Canada',
+  AG: 'Antigua and Barbuda',
+  AI: 'Anguilla',
+  AS: 'American Samoa',
+  BB: 'Barbados',
+  BM: 'Bermuda',
+  BS: 'Bahamas',
+  DM: 'Dominica',
+  DO: 'Dominican Republic',
+  GD: 'Grenada',
+  GU: 'Guam',
+  JM: 'Jamaica',
+  KN: 'Saint Kitts and Nevis',
+  KY: 'Cayman Islands',
+  LC: 'Saint Lucia',
+  MP: 'Northern Mariana Islands',
+  MS: 'Montserrat',
+  PR: 'Puerto Rico',
+  SX: 'Sint Maarten',
+  TC: 'Turks and Caicos Islands',
+  TT: 'Trinidad and Tobago',
+  VC: 'Saint Vincent and the Grenadines',
+  VG: 'British Virgin Islands',
+  VI: 'U.S. Virgin Islands',
+};
+
+// [ISO code, name, calling code, national lengths, trunk prefix, leading digits]
+const COUNTRY_TABLE = [
+  ...Object.entries(NANP_AREA_CODES).map(([iso, areaCodes]) => [iso, NANP_NAMES[iso], '1', [10], '1', `^(${areaCodes})`]),
+  ['US', 'United States', '1', [10], '1'],
+  ['KZ', 'Kazakhstan', '7', [10], '8', '^(33622|7)'],
+  ['RU', 'Russia', '7', [10], '8'],
+  ['EG', 'Egypt', '20', [8, 9, 10], '0'],
+  ['ZA', 'South Africa', '27', [9], '0'],
+  ['GR', 'Greece', '30', [10], null],
+  ['NL', 'Netherlands', '31', [9], '0'],
+  ['BE', 'Belgium', '32', [8, 9], '0'],
+  ['FR', 'France', '33', [9], '0'],
+  ['ES', 'Spain', '34', [9], null],
+  ['HU', 'Hungary', '36', [8, 9], '06'],
+  ['IT', 'Italy', '39', [6, 7, 8, 9, 10, 11], null],
+  ['RO', 'Romania', '40', [9], '0'],
+  ['CH', 'Switzerland', '41', [9], '0'],
+  ['AT', 'Austria', '43', [4, 5, 6, 7, 8, 9, 10, 11, 12, 13], '0'],
+  ['GB', 'United Kingdom', '44', [9, 10], '0'],
+  ['DK', 'Denmark', '45', [8], null],
+  ['SE', 'Sweden', '46', [7, 8, 9, 10], '0'],
+  ['NO', 'Norway', '47', [5, 8], null],
+  ['PL', 'Poland', '48', [9], null],
+  ['DE', 'Germany', '49', [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], '0'],
+  ['PE', 'Peru', '51', [8, 9], '0'],
+  ['MX', 'Mexico', '52', [10], null],
+  ['CU', 'Cuba', '53', [6, 7, 8], '0'],
+  ['AR', 'Argentina', '54', [10, 11], '0'],
+  ['BR', 'Brazil', '55', [10, 11], '0'],
+  ['CL', 'Chile', '56', [9], null],
+  ['CO', 'Colombia', '57', [8, 10], '0'],
+  ['VE', 'Venezuela', '58', [10], '0'],
+  ['MY', 'Malaysia', '60', [8, 9, 10], '0'],
+  ['AU', 'Australia', '61', [9], '0'],
+  ['ID', 'Indonesia', '62', [8, 9, 10, 11, 12], '0'],
+  ['PH', 'Philippines', '63', [8, 9, 10], '0'],
+  ['NZ', 'New Zealand', '64', [8, 9, 10], '0'],
+  ['SG', 'Singapore', '65', [8], null],
+  ['TH', 'Thailand', '66', [8, 9], '0'],
+  ['JP', 'Japan', '81', [9, 10], '0'],
+  ['KR', 'South Korea', '82', [8, 9, 10], '0'],
+  ['VN', 'Vietnam', '84', [9, 10], '0'],
+  ['CN', 'China', '86', [10, 11], '0'],
+  ['TR', 'Turkey', '90', [10], '0'],
+  ['IN', 'India', '91', [10], '0'],
+  ['PK', 'Pakistan', '92', [9, 10], '0'],
+  ['AF', 'Afghanistan', '93', [9], '0'],
+  ['LK', 'Sri Lanka', '94', [9], '0'],
+  ['MM', 'Myanmar', '95', [7, 8, 9, 10], '0'],
+  ['IR', 'Iran', '98', [10], '0'],
+  ['MA', 'Morocco', '212', [9], '0'],
+  ['DZ', 'Algeria', '213', [8, 9], '0'],
+  ['TN', 'Tunisia', '216', [8], null],
+  ['LY', 'Libya', '218', [9], '0'],
+  ['GM', 'Gambia', '220', [7], null],
+  ['SN', 'Senegal', '221', [9], null],
+  ['CI', "Côte d'Ivoire", '225', [10], null],
+  ['GH', 'Ghana', '233', [9], '0'],
+  ['NG', 'Nigeria', '234', [8, 10], '0'],
+  ['CM', 'Cameroon', '237', [9], null],
+  ['AO', 'Angola', '244', [9], null],
+  ['RW', 'Rwanda', '250', [9], '0'],
+  ['ET', 'Ethiopia', '251', [9], '0'],
+  ['KE', 'Kenya', '254', [9], '0'],
+  ['TZ', 'Tanzania', '255', [9], '0'],
+  ['UG', 'Uganda', '256', [9], '0'],
+  ['MZ', 'Mozambique', '258', [8, 9], null],
+  ['ZM', 'Zambia', '260', [9], '0'],
+  ['ZW', 'Zimbabwe', '263', [9], '0'],
+  ['PT', 'Portugal', '351', [9], null],
+  ['LU', 'Luxembourg', '352', [4, 5, 6, 7, 8, 9, 10, 11], null],
+  ['IE', 'Ireland', '353', [7, 8, 9], '0'],
+  ['IS', 'Iceland', '354', [7], null],
+  ['AL', 'Albania', '355', [8, 9], '0'],
+  ['MT', 'Malta', '356', [8], null],
+  ['CY', 'Cyprus', '357', [8], null],
+  ['FI', 'Finland', '358', [5, 6, 7, 8, 9, 10, 11, 12], '0'],
+  ['BG', 'Bulgaria', '359', [8, 9], '0'],
+  ['LT', 'Lithuania', '370', [8], '8'],
+  ['LV', 'Latvia', '371', [8], null],
+  ['EE', 'Estonia', '372', [7, 8], null],
+  ['AM', 'Armenia', '374', [8], '0'],
+  ['BY', 'Belarus', '375', [9], '8'],
+  ['UA', 'Ukraine', '380', [9], '0'],
+  ['RS', 'Serbia', '381', [8, 9], '0'],
+  ['HR', 'Croatia', '385', [8, 9], '0'],
+  ['SI', 'Slovenia', '386', [8], '0'],
+  ['BA', 'Bosnia and Herzegovina', '387', [8, 9], '0'],
+  ['CZ', 'Czechia', '420', [9], null],
+  ['SK', 'Slovakia', '421', [9], '0'],
+  ['GT', 'Guatemala', '502', [8], null],
+  ['SV', 'El Salvador', '503', [8], null],
+  ['HN', 'Honduras', '504', [8], null],
+  ['NI', 'Nicaragua', '505', [8], null],
+  ['CR', 'Costa Rica', '506', [8], null],
+  ['PA', 'Panama', '507', [7, 8], null],
+  ['BO', 'Bolivia', '591', [8], '0'],
+  ['EC', 'Ecuador', '593', [8, 9], '0'],
+  ['PY', 'Paraguay', '595', [9], '0'],
+  ['UY', 'Uruguay', '598', [8], '0'],
+  ['HK', 'Hong Kong', '852', [8], null],
+  ['MO', 'Macao', '853', [8], null],
+  ['KH', 'Cambodia', '855', [8, 9], '0'],
+  ['BD', 'Bangladesh', '880', [10], '0'],
+  ['TW', 'Taiwan', '886', [8, 9], '0'],
+  ['LB', 'Lebanon', '961', [7, 8], '0'],
+  ['JO', 'Jordan', '962', [8, 9], '0'],
+  ['KW', 'Kuwait', '965', [8], null],
+  ['SA', 'Saudi Arabia', '966', [9], '0'],
+  ['OM', 'Oman', '968', [8], null],
+  ['AE', 'United Arab Emirates', '971', [8, 9], '0'],
+  ['IL', 'Israel', '972', [8, 9], '0'],
+  ['BH', 'Bahrain', '973', [8], null],
+  ['QA', 'Qatar', '974', [8], null],
+  ['NP', 'Nepal', '977', [8, 10], '0'],
+  ['AZ', 'Azerbaijan', '994', [9], '0'],
+  ['GE', 'Georgia', '995', [9], '0'],
+  ['UZ', 'Uzbekistan', '998', [9], null],
+];
+
+const COUNTRIES = COUNTRY_TABLE.map(([iso, name, callingCode, lengths, trunkPrefix, leading]) => ({
+  iso,
+  name,
+  callingCode,
+  lengths,
+  trunkPrefix,
+  leading: leading ? new RegExp(leading) : null,
+}));
+
+const BY_ISO = new Map(COUNTRIES.map((country) => [country.iso, country]));
+
+// Every assigned geographic calling code; numbers for codes without a country entry above only
+// get the generic E.164 length check
+const CALLING_CODES = new Set([
+  ...COUNTRIES.map((country) => country.callingCode),
+  ...('211 222 223 224 225 226 227 228 229 230 231 232 235 236 238 239 240 241 242 243 245 '
+    + '246 247 248 249 252 253 257 261 262 264 265 266 267 268 269 290 291 297 298 299 350 373 376 377 378 '
+    + '379 382 383 389 423 500 501 508 509 590 592 594 596 597 599 670 672 673 674 675 676 677 678 679 680 '
+    + '681 682 683 685 686 687 688 689 690 691 692 850 856 960 963 964 967 970 975 976 992 993 995 996 998').split(' '),
+]);
+
+// E.164 numbers have at most 15 digits including the calling code; shorter than 8 is not a
+// subscriber number anywhere WhatsApp runs
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// Separators people write numbers with; anything else makes the number invalid
+const FORMATTING_PATTERN = /^[\d\s().\-/]*$/;
+
+/**
+ * Countries sharing a calling code, in table order (leading-digit rules before the default)
+ */
+function countriesForCode(callingCode) {
+  return COUNTRIES.filter((country) => country.callingCode === callingCode);
+}
+
+/**
+ * Pick the country a national number belongs to among those sharing its calling code
+ */
+function countryForNumber(callingCode, nationalNumber) {
+  const candidates = countriesForCode(callingCode);
+  return candidates.find((country) => country.leading && country.leading.test(nationalNumber))
+    || candidates.find((country) => !country.leading)
+    || null;
+}
+
+/**
+ * Check a national number against a country's numbering plan
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkNationalNumber(country, nationalNumber) {
+  if (!country.lengths.includes(nationalNumber.length)) {
+    const lengths = country.lengths.length > 2
+      ? `${country.lengths[0]}-${country.lengths[country.lengths.length - 1]}`
+      : country.lengths.join(' or ');
+    return `${country.name} numbers have ${lengths} digits after +${country.callingCode}, got ${nationalNumber.length}`;
+  }
+  // NANP: area code and exchange never start with 0 or 1
+  if (country.callingCode === '1' && !/^[2-9]\d{2}[2-9]/.test(nationalNumber)) {
+    return `Invalid ${country.name} number: area code and exchange must not start with 0 or 1`;
+  }
+  // Countries sharing a calling code own their leading digits (NANP area codes, Kazakhstan)
+  const owner = countryForNumber(country.callingCode, nationalNumber);
+  if (owner !== country) {
+    return `Not a ${country.name} number: +${country.callingCode} ${nationalNumber} belongs to ${owner ? owner.name : 'another country'}`;
+  }
+  return null;
+}
+
+/**
+ * Check a number for a calling code without a country entry
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkGenericNumber(callingCode, nationalNumber) {
+  const total = callingCode.length + nationalNumber.length;
+  if (total < E164_MIN_DIGITS || total > E164_MAX_DIGITS) {
+    return `Numbers have ${E164_MIN_DIGITS}-${E164_MAX_DIGITS} digits including the calling code, got ${total} for +${callingCode} ${nationalNumber}`;
+  }
+  return null;
+}
+
+/**
+ * Strip the formatting from a written number
+ * @returns {string|null} Digits, or null if the text has anything but digits and separators
+ */
+function digitsOf(text) {
+  const cleaned = text.trim().replace(/^\+/, '').replace(/\(0\)/g, '');
+  return FORMATTING_PATTERN.test(cleaned) ? cleaned.replace(/\D/g, '') : null;
+}
+
+/**
+ * Look up a country by ISO 3166-1 alpha-2 code
+ * @param {string} iso - e.g. "GB"
+ * @returns {{iso: string, name: string, callingCode: string}|null}
+ */
+export function getCountry(iso) {
+  const country = BY_ISO.get(String(iso || '').toUpperCase());
+  return country ? { iso: country.iso, name: country.name, callingCode: country.callingCode } : null;
+}
+
+/**
+ * Parse and validate a recipient number
+ * Accepts an international number (`to`, e.g. "+447911123456" or "00447911123456"), or a
+ * national number (`phoneNumber`) with either an ISO `country` (e.g. "GB") or a calling
+ * code `extension` (e.g. "44"). A national trunk prefix ("07911...") is dropped. Calling codes
+ * without a country entry only get the generic E.164 length check.
+ * @param {Object} input - {to?, country?, extension?, phoneNumber?}
+ * @returns {Object} {valid: true, e164, callingCode, nationalNumber, country: {iso, name}}
+ *   (iso and name null for calling codes without a country entry) or {valid: false, error}
+ */
+export function parsePhoneNumber({ to, country, extension, phoneNumber } = {}) {
+  const given = Object.entries({ to, country, extension, phoneNumber }).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const wrongType = given.find(([, value]) => typeof value !== 'string');
+  if (wrongType) {
+    return { valid: false, error: `${wrongType[0]} must be a string` };
+  }
+
+  let callingCode;
+  let nationalNumber;
+  let match = null;
+
+  if (to) {
+    if (phoneNumber || country || extension) {
+      return { valid: false, error: 'Send either to, or phoneNumber with country or extension, not both' };
+    }
+    const trimmed = to.trim();
+    if (!trimmed.startsWith('+') && !trimmed.startsWith('00')) {
+      return { valid: false, error: 'to must be an international number starting with + (e.g. "+447911123456")' };
+    }
+    const digits = digitsOf(trimmed.startsWith('00') ? trimmed.slice(2) : trimmed);
+    if (!digits) {
+      return { valid: false, error: `Invalid phone number: "${to}"` };
+    }
+    // Calling codes are prefix-free, so at most one of 1-3 leading digits is a code
+    callingCode = [1, 2, 3].map((length) => digits.slice(0, length)).find((code) => CALLING_CODES.has(code));
+    if (!callingCode) {
+      return { valid: false, error: `Unknown or unsupported country calling code in "${to}"` };
+    }
+    nationalNumber = digits.slice(callingCode.length);
+  } else {
+    if (!phoneNumber || !(country || extension)) {
+      return { valid: false, error: 'Missing recipient: send to (e.g. "+447911123456"), or phoneNumber with country or extension' };
+    }
+    if (country && extension) {
+      return { valid: false, error: 'Send either country or extension, not both' };
+    }
+
+    if (country) {
+      match = BY_ISO.get(country.trim().toUpperCase());
+      if (!match) {
+        return { valid: false, error: `Unknown or unsupported country: "${country}" (expected an ISO code such as "GB")` };
+      }
+      callingCode = match.callingCode;
+    } else {
+      callingCode = digitsOf(extension);
+      if (!callingCode || !CALLING_CODES.has(callingCode)) {
+        return { valid: false, error: `Unknown or unsupported country calling code: "${extension}"` };
+      }
+    }
+
+    nationalNumber = digitsOf(phoneNumber);
+    if (!nationalNumber) {
+      return { valid: false, error: `Invalid phone number: "${phoneNumber}"` };
+    }
+    // National numbers are often written with the country code or the trunk prefix in front
+    if (phoneNumber.trim().startsWith('+') && nationalNumber.startsWith(callingCode)) {
+      nationalNumber = nationalNumber.slice(callingCode.length);
+    }
+  }
+
+  match = match || countryForNumber(callingCode, nationalNumber);
+  if (!match) {
+    // No numbering plan to check against, so no trunk prefix is dropped either
+    const problem = checkGenericNumber(callingCode, nationalNumber);
+    if (problem) {
+      return { valid: false, error: problem };
+    }
+    return {
+      valid: true,
+      e164: `+${callingCode}${nationalNumber}`,
+      callingCode,
+      nationalNumber,
+      country: { iso: null, name: null },
+    };
+  }
+  // National significant numbers never start with the trunk prefix, unless the rest would be too short
+  if (match.trunkPrefix && nationalNumber.startsWith(match.trunkPrefix)
+    && match.lengths.includes(nationalNumber.length - match.trunkPrefix.length)) {
+    nationalNumber = nationalNumber.slice(match.trunkPrefix.length);
+    if (!country) {
+      match = countryForNumber(callingCode, nationalNumber);
+    }
+  }
+
+  const problem = checkNationalNumber(match, nationalNumber);
+  if (problem) {
+    return { valid: false, error: problem };
+  }
+
+  return {
+    valid: true,
+    e164: `+${callingCode}${nationalNumber}`,
+    callingCode,
+    nationalNumber,
+    country: { iso: match.iso, name: match.name },
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Stand-in Redis server for tests - speaks just enough RESP for the Redis store
+ * (AUTH, SELECT, HGET, HSET, HDEL, HGETALL, QUIT), keeping hashes in memory.
+ */
+
+import net from 'net';
+
+function bulk(value) {
+  return value === null || value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function array(values) {
+  return `*${values.length}\r\n${values.map(bulk).join('')}`;
+}
+
+/**
+ * Parse one command (an array of bulk strings) starting at `offset`
+ * @returns {{args: Array<string>, offset: number}|null} Null until the command is complete
+ */
+function parseCommand(buffer, offset) {
+  let lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const count = Number(buffer.toString('utf-8', offset + 1, lineEnd));
+  let position = lineEnd + 2;
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', position);
+    if (lineEnd === -1) {
+      return null;
+    }
+    const length = Number(buffer.toString('utf-8', position + 1, lineEnd));
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf-8', start, start + length));
+    position = start + length + 2;
+  }
+  return { args, offset: position };
+}
+
+/**
+ * Start a stand-in server on a random local port
+ * @param {Object} [options]
+ * @param {string} [options.password] - Require AUTH with this password
+ * @returns {Promise<Object>} {url, hashes, commands, connections, close()}: hashes is the
+ *   data (Map of hash key -> Map), commands every command received
+ */
+export async function startRespServer({ password = null } = {}) {
+  const hashes = new Map();
+  const commands = [];
+  const sockets = new Set();
+  let connections = 0;
+
+  function run(args, client) {
+    const [name, key, ...rest] = args;
+    commands.push(args);
+    const command = name.toUpperCase();
+    if (command === 'AUTH') {
+      client.authed = args[args.length - 1] === password;
+      return client.authed ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n';
+    }
+    if (command === 'QUIT') {
+      return '+OK\r\n';
+    }
+    if (password && !client.authed) {
+      return '-NOAUTH Authentication required.\r\n';
+    }
+    const hash = hashes.get(key) || new Map();
+    switch (command) {
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'HGET':
+        return bulk(hash.get(rest[0]) ?? null);
+      case 'HSET': {
+        const added = hash.has(rest[0]) ? 0 : 1;
+        hash.set(rest[0], rest[1]);
+        hashes.set(key, hash);
+        return `:${added}\r\n`;
+      }
+      case 'HDEL':
+        return `:${hash.delete(rest[0]) ? 1 : 0}\r\n`;
+      case 'HGETALL':
+        return array([...hash].flat());
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const client = { authed: false };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        socket.write(run(parsed.args, client));
+        if (parsed.args[0].toUpperCase() === 'QUIT') {
+          socket.end();
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://${password ? `:${encodeURIComponent(password)}@` : ''}127.0.0.1:${port}`,
+    hashes,
+    commands,
+    get connections() {
+      return connections;
+    },
+    /**
+     * Drop every open client connection (as a Redis restart would)
+     */
+    dropConnections() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    },
+    close() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,227 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// config.js requires an API key
+process.env.API_KEY = process.env.API_KEY || 'test';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_DIR = path.join(__dirname, '../../profiles');
+const IDEMPOTENCY_FILE = path.join(PROFILES_DIR, 'idempotency.json');
+const BACKUP_FILE = `${IDEMPOTENCY_FILE}.test-backup`;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const { config } = await import('../../src/config.js');
+const { fingerprintRequest } = await import('../../src/services/idempotency.js');
+
+let idempotency;
+let createdProfilesDir = false;
+
+/**
+ * The store reads idempotency.json on first use: stand in records left by a stopped process,
+ * keeping a developer's own file aside until the tests are done
+ */
+before(async () => {
+  createdProfilesDir = !(await fs.stat(PROFILES_DIR).catch(() => null));
+  await fs.mkdir(PROFILES_DIR, { recursive: true });
+  await fs.rename(IDEMPOTENCY_FILE, BACKUP_FILE).catch(() => {});
+
+  const now = Date.now();
+  const interrupted = (key, createdAt) => ({
+    key,
+    sessionId: 's1',
+    fingerprint: fingerprintRequest({ path: '/s1/send-message', body: { message: 'hi' } }),
+    status: 'in_progress',
+    createdAt,
+    expiresAt: createdAt + config.idempotency.ttlMs,
+    response: null,
+  });
+  await fs.writeFile(IDEMPOTENCY_FILE, JSON.stringify({
+    's1:cut-off-an-hour-ago': interrupted('cut-off-an-hour-ago', now - HOUR_MS),
+    's1:cut-off-long-ago': interrupted('cut-off-long-ago', now - config.idempotency.ttlMs - HOUR_MS),
+  }));
+
+  ({ idempotency } = await import('../../src/middleware/idempotency.js'));
+});
+
+after(async () => {
+  await fs.rm(IDEMPOTENCY_FILE, { force: true });
+  await fs.rename(BACKUP_FILE, IDEMPOTENCY_FILE).catch(() => {});
+  if (createdProfilesDir) {
+    await fs.rm(PROFILES_DIR, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Stand-in for an Express response that records what was sent
+ */
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Run a send-message request through the middleware
+ * @param {Object} options
+ * @param {Function} [options.route] - Called as the route when the middleware lets the request
+ *   through, with the response
+ * @returns {Promise<{res: Object, ran: boolean}>} The response, and whether the route ran
+ */
+async function send({ key, sessionId = 's1', body = { message: 'hi' }, route = (res) => res.status(200).json({ ok: true }) }) {
+  const req = { headers: key === undefined ? {} : { 'idempotency-key': key }, params: { sessionId }, path: `/${sessionId}/send-message`, body };
+  const res = fakeResponse();
+  let ran = false;
+  await idempotency(req, res, (error) => {
+    if (error) {
+      throw error;
+    }
+    ran = true;
+    return route(res);
+  });
+  return { res, ran };
+}
+
+test('lets requests without a key through', async () => {
+  const { ran } = await send({ key: undefined });
+  assert.equal(ran, true);
+});
+
+test('rejects empty and overlong keys', async () => {
+  for (const key of ['  ', 'k'.repeat(256)]) {
+    const { res, ran } = await send({ key });
+    assert.equal(ran, false);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid Idempotency-Key/);
+  }
+});
+
+test('replays the stored result for a repeated key', async () => {
+  let sends = 0;
+  const route = (res) => res.status(200).json({ ok: true, send: ++sends });
+
+  const first = await send({ key: 'replay', route });
+  assert.equal(first.ran, true);
+  assert.deepEqual(first.res.body, { ok: true, send: 1 });
+
+  const second = await send({ key: 'replay', route });
+  assert.equal(second.ran, false);
+  assert.equal(second.res.statusCode, 200);
+  assert.deepEqual(second.res.body, { ok: true, send: 1 });
+  assert.equal(second.res.headers['Idempotent-Replayed'], 'true');
+  assert.equal(sends, 1);
+});
+
+test('scopes keys to the session', async () => {
+  await send({ key: 'scoped' });
+  const { ran } = await send({ key: 'scoped', sessionId: 's2' });
+  assert.equal(ran, true);
+});
+
+test('replays failures that were attempted', async () => {
+  await send({ key: 'failed', route: (res) => res.status(500).json({ ok: false, error: 'Step 3 failed' }) });
+  const { res, ran } = await send({ key: 'failed' });
+  assert.equal(ran, false);
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error, 'Step 3 failed');
+});
+
+test('waits for a request with the same key that is still running', async () => {
+  let finish;
+  const first = send({
+    key: 'in-flight',
+    route: (res) => {
+      finish = () => res.status(200).json({ ok: true, jobId: 'j1' });
+    },
+  });
+  await first;
+
+  let secondSettled = false;
+  const second = send({ key: 'in-flight' }).then((result) => {
+    secondSettled = true;
+    return result;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(secondSettled, false, 'the retry waits for the original');
+
+  finish();
+  const { res, ran } = await second;
+  assert.equal(ran, false);
+  assert.deepEqual(res.body, { ok: true, jobId: 'j1' });
+  assert.equal(res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('runs a waiting retry itself when the original stored nothing', async () => {
+  let finish;
+  await send({
+    key: 'in-flight-abandoned',
+    route: (res) => {
+      finish = () => res.status(503).json({ ok: false });
+    },
+  });
+  const second = send({ key: 'in-flight-abandoned' });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  finish();
+  const { res, ran } = await second;
+  assert.equal(ran, true);
+  assert.deepEqual(res.body, { ok: true });
+});
+
+test('answers 422 when a key is reused with a different body', async () => {
+  await send({ key: 'mismatch' });
+  const { res, ran } = await send({ key: 'mismatch', body: { message: 'something else' } });
+  assert.equal(ran, false);
+  assert.equal(res.statusCode, 422);
+  assert.match(res.body.error, /already used with a different request/);
+});
+
+test('does not store responses where nothing was attempted', async () => {
+  for (const statusCode of [400, 401, 404, 503]) {
+    const key = `unstored-${statusCode}`;
+    await send({ key, route: (res) => res.status(statusCode).json({ ok: false }) });
+    const { res, ran } = await send({ key });
+    assert.equal(ran, true, `${statusCode} is not replayed`);
+    assert.deepEqual(res.body, { ok: true });
+  }
+});
+
+test('refuses a key interrupted by a restart for the rest of its TTL', async () => {
+  const { res, ran } = await send({ key: 'cut-off-an-hour-ago' });
+  assert.equal(ran, false);
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.error, /was interrupted; its outcome is unknown/);
+
+  // A different body is still a mismatch, not a new request
+  assert.equal((await send({ key: 'cut-off-an-hour-ago', body: { message: 'other' } })).res.statusCode, 422);
+});
+
+test('frees an interrupted key once its TTL has passed', async () => {
+  const { ran } = await send({ key: 'cut-off-long-ago' });
+  assert.equal(ran, true);
+});
+
+test('keeps interrupted records on disk', async () => {
+  // Writes are chained, and a new key is only let through once its write is done
+  await send({ key: 'flush' });
+  const stored = JSON.parse(await fs.readFile(IDEMPOTENCY_FILE, 'utf-8'));
+  assert.equal(stored['s1:cut-off-an-hour-ago'].status, 'interrupted');
+  assert.equal(stored['s1:cut-off-long-ago'].status, 'completed');
+  assert.equal(stored['s1:replay'].response.statusCode, 200);
+});
@@ -0,0 +1,143 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js requires an API key
+process.env.API_KEY = process.env.API_KEY || 'test';
+
+const { config } = await import('../../src/config.js');
+const { CapacityError } = await import('../../src/errors.js');
+
+// The launch counters and queue are module state; a query string gives a fresh module instance
+let instance = 0;
+let admission;
+
+beforeEach(async () => {
+  Object.assign(config.capacity, { maxSessions: 2, maxConcurrentLaunches: 1, maxQueued: 2, queueTimeoutMs: 1000 });
+  admission = await import(`../../src/services/admission.js?test-${++instance}`);
+});
+
+const client = (sessionCount = 0) => ({ sessionCount, newSession: true, limited: true });
+const restore = (sessionCount = 0) => ({ sessionCount, newSession: true, limited: false });
+const relaunch = (sessionCount = 1) => ({ sessionCount, newSession: false, limited: false });
+
+test('turns new sessions away at the session limit with a Retry-After', async () => {
+  await assert.rejects(admission.acquireLaunchSlot(client(2)), (error) => {
+    assert.ok(error instanceof CapacityError);
+    assert.equal(error.statusCode, 503);
+    assert.ok(error.retryAfter > 0);
+    assert.match(error.message, /Session limit reached \(2 sessions\)/);
+    return true;
+  });
+});
+
+test('counts sessions still launching toward the session limit', async () => {
+  const first = await admission.acquireLaunchSlot(client(1));
+  await assert.rejects(admission.acquireLaunchSlot(client(1)), /Session limit reached/);
+  first();
+});
+
+test('never turns restores or relaunches away at the session limit', async () => {
+  const restored = await admission.acquireLaunchSlot(restore(2));
+  restored();
+  const relaunched = await admission.acquireLaunchSlot(relaunch(3));
+  relaunched();
+  assert.equal(admission.getCapacity(3).sessions.free, 0);
+});
+
+test('turns requests away when the launch queue is full', async () => {
+  config.capacity.maxSessions = 0;
+  const running = await admission.acquireLaunchSlot(client());
+  const queued = [admission.acquireLaunchSlot(client()), admission.acquireLaunchSlot(client())];
+  await assert.rejects(admission.acquireLaunchSlot(client()), (error) => {
+    assert.ok(error instanceof CapacityError);
+    assert.match(error.message, /Launch queue is full \(2 session\(s\) waiting\)/);
+    assert.ok(error.retryAfter > 0);
+    return true;
+  });
+
+  // Internal launches queue past the limit
+  const restored = admission.acquireLaunchSlot(restore());
+  assert.equal(admission.getCapacity(0).launches.queued, 3);
+
+  running();
+  (await queued[0])();
+  (await queued[1])();
+  (await restored)();
+  assert.equal(admission.getCapacity(0).launches.active, 0);
+});
+
+test('times out a request that waits past LAUNCH_QUEUE_TIMEOUT_MS', async () => {
+  Object.assign(config.capacity, { maxSessions: 0, queueTimeoutMs: 20 });
+  const running = await admission.acquireLaunchSlot(client());
+  const restored = admission.acquireLaunchSlot(restore());
+  await assert.rejects(admission.acquireLaunchSlot(client()), (error) => {
+    assert.ok(error instanceof CapacityError);
+    assert.match(error.message, /No browser launch slot freed up within 20ms/);
+    return true;
+  });
+  assert.deepEqual(admission.getCapacity(0).launches, { max: 1, active: 1, queued: 1, maxQueued: 2 });
+  assert.equal(admission.getCapacity(0).sessions.pending, 2, 'the timed out request no longer counts');
+
+  // Internal launches wait as long as it takes
+  running();
+  (await restored)();
+});
+
+test('queues relaunches ahead of new sessions, in arrival order', async () => {
+  config.capacity.maxSessions = 0;
+  const order = [];
+  const running = await admission.acquireLaunchSlot(client());
+  const waiters = [
+    ['new-1', client()],
+    ['relaunch-1', relaunch()],
+    ['new-2', restore()],
+    ['relaunch-2', relaunch()],
+  ].map(([name, options]) => admission.acquireLaunchSlot(options).then((release) => {
+    order.push(name);
+    release();
+  }));
+
+  running();
+  await Promise.all(waiters);
+  assert.deepEqual(order, ['relaunch-1', 'relaunch-2', 'new-1', 'new-2']);
+});
+
+test('frees pending sessions once their launch succeeded or failed', async () => {
+  const launch = async (fail) => {
+    const release = await admission.acquireLaunchSlot(client());
+    try {
+      if (fail) {
+        throw new Error('launch failed');
+      }
+    } finally {
+      release();
+    }
+  };
+
+  const succeeded = launch(false);
+  assert.equal(admission.getCapacity(0).sessions.pending, 1);
+  await succeeded;
+  assert.equal(admission.getCapacity(1).sessions.pending, 0);
+
+  await assert.rejects(launch(true), /launch failed/);
+  assert.deepEqual(admission.getCapacity(1).sessions, { max: 2, used: 1, pending: 0, free: 1 });
+
+  // Releasing twice frees the slot once
+  const release = await admission.acquireLaunchSlot(client());
+  release();
+  release();
+  assert.equal(admission.getCapacity(0).sessions.pending, 0);
+  assert.equal(admission.getCapacity(0).launches.active, 0);
+});
+
+test('relaunches do not count as pending sessions', async () => {
+  const release = await admission.acquireLaunchSlot(relaunch());
+  assert.equal(admission.getCapacity(1).sessions.pending, 0);
+  assert.equal(admission.getCapacity(1).launches.active, 1);
+  release();
+});
+
+test('reports no limit without MAX_SESSIONS', () => {
+  config.capacity.maxSessions = 0;
+  assert.deepEqual(admission.getCapacity(5).sessions, { max: null, used: 5, pending: 0, free: null });
+});
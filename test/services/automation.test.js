@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js (imported through the selector catalog) requires an API key
+process.env.API_KEY = process.env.API_KEY || 'test';
+
+const { pickExtensionOption, matchesTemplateLanguage } = await import('../../src/services/automation.js');
+
+/**
+ * Stand-ins for the dropdown's option handles: evaluate runs the callback on a fake element
+ */
+function options(...texts) {
+  return texts.map((text) => ({
+    text,
+    evaluate: async (fn) => fn({ textContent: text }),
+  }));
+}
+
+test('picks the option with exactly the calling code', async () => {
+  const list = options('AT +43', 'GB +44', 'DE +49');
+  const { option, text } = await pickExtensionOption(list, '44', null);
+  assert.equal(option, list[1]);
+  assert.equal(text, 'GB +44');
+});
+
+test('does not match a longer calling code starting with the same digits', async () => {
+  const list = options('AI +1264', 'US +1');
+  const { text } = await pickExtensionOption(list, '1', null);
+  assert.equal(text, 'US +1');
+});
+
+test('tells countries sharing a calling code apart by ISO code', async () => {
+  const list = options('US +1', 'CA +1', 'JM +1');
+  assert.equal((await pickExtensionOption(list, '1', 'CA')).text, 'CA +1');
+  assert.equal((await pickExtensionOption(list, '1', 'ca')).text, 'CA +1');
+});
+
+test('tells countries sharing a calling code apart by flag or name', async () => {
+  assert.equal((await pickExtensionOption(options('🇷🇺 +7', '🇰🇿 +7'), '7', 'KZ')).text, '🇰🇿 +7');
+  assert.equal((await pickExtensionOption(options('Russia +7', 'Kazakhstan +7'), '7', 'KZ')).text, 'Kazakhstan +7');
+});
+
+test('falls back to the first option with the code when none names the country', async () => {
+  const list = options('GB +44', 'US +1', 'CA +1');
+  assert.equal((await pickExtensionOption(list, '1', 'JM')).text, 'US +1');
+  assert.equal((await pickExtensionOption(list, '1', 'XX')).text, 'US +1');
+});
+
+test('falls back to the first option when none has the code', async () => {
+  const list = options('GB +44', 'DE +49');
+  assert.equal((await pickExtensionOption(list, '33', 'FR')).option, list[0]);
+});
+
+test('matches template languages exactly or by base language', () => {
+  assert.equal(matchesTemplateLanguage('en_US', 'en-us'), true);
+  assert.equal(matchesTemplateLanguage('en_US', 'en'), true);
+  assert.equal(matchesTemplateLanguage('en', 'en_US'), false);
+  assert.equal(matchesTemplateLanguage('es', 'en'), false);
+});
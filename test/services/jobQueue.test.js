@@ -0,0 +1,232 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js requires an API key
+process.env.API_KEY = process.env.API_KEY || 'test';
+
+const { config } = await import('../../src/config.js');
+const { JobNotFoundError, JobConflictError } = await import('../../src/errors.js');
+const {
+  enqueueJob,
+  getJob,
+  getSessionJobs,
+  cancelJob,
+  cancelSessionJobs,
+  serializeJob,
+} = await import('../../src/services/jobQueue.js');
+
+/**
+ * A job body that runs until the test lets it finish
+ */
+function controlled() {
+  const control = { started: false };
+  control.done = new Promise((resolve, reject) => {
+    control.finish = resolve;
+    control.fail = reject;
+  });
+  control.run = () => {
+    control.started = true;
+    return control.done;
+  };
+  return control;
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('runs a session\'s jobs one at a time, in order', async () => {
+  const log = [];
+  let running = 0;
+  const jobs = [1, 2, 3].map((n) => enqueueJob('order', 'send-message', async () => {
+    running++;
+    assert.equal(running, 1, 'never two at once');
+    log.push(`start ${n}`);
+    await tick();
+    log.push(`end ${n}`);
+    running--;
+    return { n };
+  }));
+
+  assert.equal(jobs[0].status, 'running', 'the first job starts right away');
+  assert.deepEqual(jobs.slice(1).map((job) => job.status), ['queued', 'queued']);
+
+  assert.deepEqual(await Promise.all(jobs.map((job) => job.promise)), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+  assert.deepEqual(log, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+  assert.deepEqual(jobs.map((job) => job.status), ['completed', 'completed', 'completed']);
+});
+
+test('runs jobs for different sessions in parallel', async () => {
+  const a = controlled();
+  const b = controlled();
+  const jobA = enqueueJob('parallel-a', 'send-message', a.run);
+  const jobB = enqueueJob('parallel-b', 'send-message', b.run);
+
+  assert.equal(a.started, true);
+  assert.equal(b.started, true);
+
+  b.finish('b');
+  assert.equal(await jobB.promise, 'b');
+  assert.equal(jobA.status, 'running', 'a slow session does not hold up another');
+  a.finish('a');
+  assert.equal(await jobA.promise, 'a');
+});
+
+test('keeps going after a failed job', async () => {
+  const failing = enqueueJob('failure', 'send-message', async () => {
+    const error = new Error('Step 3 failed');
+    error.step = 'selectExtension';
+    throw error;
+  });
+  const next = enqueueJob('failure', 'send-message', async () => 'sent');
+
+  await assert.rejects(failing.promise, /Step 3 failed/);
+  assert.equal(failing.status, 'failed');
+  assert.equal(await next.promise, 'sent');
+});
+
+test('records start and finish times and releases the job body', async () => {
+  const job = enqueueJob('times', 'send-message', async () => 'ok');
+  await job.promise;
+  assert.ok(job.startedAt >= job.createdAt);
+  assert.ok(job.finishedAt >= job.startedAt);
+  assert.equal(job.run, null);
+});
+
+test('cancels a queued job, which then never runs', async () => {
+  const first = controlled();
+  const running = enqueueJob('cancel', 'send-message', first.run);
+  let ran = false;
+  const queued = enqueueJob('cancel', 'send-message', async () => {
+    ran = true;
+  });
+  const after = enqueueJob('cancel', 'send-message', async () => 'after');
+
+  assert.equal(cancelJob('cancel', queued.jobId), queued);
+  assert.equal(queued.status, 'cancelled');
+  await assert.rejects(queued.promise, (error) => {
+    assert.ok(error instanceof JobConflictError);
+    assert.match(error.message, /was cancelled before it started/);
+    return true;
+  });
+
+  first.finish();
+  await running.promise;
+  assert.equal(await after.promise, 'after');
+  assert.equal(ran, false);
+});
+
+test('refuses to cancel a running or finished job with a 409', async () => {
+  const body = controlled();
+  const job = enqueueJob('cancel-running', 'send-message', body.run);
+
+  assert.throws(() => cancelJob('cancel-running', job.jobId), (error) => {
+    assert.ok(error instanceof JobConflictError);
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /is running and can no longer be cancelled/);
+    return true;
+  });
+
+  body.finish();
+  await job.promise;
+  assert.throws(() => cancelJob('cancel-running', job.jobId), /is completed and can no longer be cancelled/);
+});
+
+test('cancels every queued job of a destroyed session but lets the running one finish', async () => {
+  const body = controlled();
+  const running = enqueueJob('destroyed', 'send-message', body.run);
+  const queued = [enqueueJob('destroyed', 'send-message', async () => {}), enqueueJob('destroyed', 'dry-run', async () => {})];
+
+  cancelSessionJobs('destroyed');
+  for (const job of queued) {
+    assert.equal(job.status, 'cancelled');
+    await assert.rejects(job.promise, /was cancelled because session destroyed was destroyed/);
+  }
+  assert.equal(running.status, 'running');
+
+  body.finish('done');
+  assert.equal(await running.promise, 'done');
+
+  // Nothing queued: a no-op
+  cancelSessionJobs('destroyed');
+  cancelSessionJobs('never-seen');
+});
+
+test('only finds a job through the session it belongs to', async () => {
+  const job = enqueueJob('owner', 'send-message', async () => {});
+  await job.promise;
+
+  assert.equal(getJob('owner', job.jobId), job);
+  assert.throws(() => getJob('someone-else', job.jobId), JobNotFoundError);
+  assert.throws(() => getJob('owner', 'no-such-job'), (error) => {
+    assert.ok(error instanceof JobNotFoundError);
+    assert.equal(error.statusCode, 404);
+    return true;
+  });
+  assert.throws(() => cancelJob('someone-else', job.jobId), JobNotFoundError);
+  assert.deepEqual(getSessionJobs('owner'), [job]);
+});
+
+test('serializes jobs with their queue position, result and error', async () => {
+  const body = controlled();
+  const running = enqueueJob('serialize', 'send-message', body.run);
+  const queued = enqueueJob('serialize', 'send-message', async () => {
+    const error = new Error('Could not find the extension dropdown');
+    error.step = 'selectExtension';
+    error.details = { artifactId: 'a1' };
+    throw error;
+  });
+
+  const runningInfo = serializeJob(running);
+  assert.equal(runningInfo.status, 'running');
+  assert.equal('position' in runningInfo, false);
+  assert.equal('result' in runningInfo, false);
+
+  const queuedInfo = serializeJob(queued);
+  assert.deepEqual(queuedInfo, {
+    jobId: queued.jobId,
+    sessionId: 'serialize',
+    type: 'send-message',
+    status: 'queued',
+    createdAt: queued.createdAt,
+    startedAt: null,
+    finishedAt: null,
+    position: 1,
+  });
+
+  body.finish({ delivery: { status: 'verified' } });
+  await running.promise;
+  await queued.promise.catch(() => {});
+
+  assert.deepEqual(serializeJob(running).result, { delivery: { status: 'verified' } });
+  assert.deepEqual(serializeJob(queued).error, {
+    message: 'Could not find the extension dropdown',
+    step: 'selectExtension',
+    details: { artifactId: 'a1' },
+  });
+
+  queued.callback = { url: 'https://example.com/hook', status: 'delivered' };
+  assert.deepEqual(serializeJob(queued).callback, queued.callback);
+  assert.notEqual(serializeJob(queued).callback, queued.callback, 'a copy');
+
+  // Internals stay out
+  const info = serializeJob(running);
+  for (const field of ['run', 'promise', 'resolve', 'reject']) {
+    assert.equal(field in info, false);
+  }
+  assert.doesNotThrow(() => JSON.stringify(info));
+});
+
+test('forgets finished jobs after the retention window', async () => {
+  const retentionMs = config.jobs.retentionMs;
+  config.jobs.retentionMs = 10;
+  try {
+    const job = enqueueJob('retention', 'send-message', async () => 'ok');
+    await job.promise;
+    assert.equal(getJob('retention', job.jobId), job);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.throws(() => getJob('retention', job.jobId), JobNotFoundError);
+    assert.deepEqual(getSessionJobs('retention'), []);
+  } finally {
+    config.jobs.retentionMs = retentionMs;
+  }
+});
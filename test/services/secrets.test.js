@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// config.js reads the environment once, when first imported
+process.env.API_KEY = process.env.API_KEY || 'test';
+process.env.SECRETS_KEY = OLD_KEY;
+process.env.SECRETS_PREVIOUS_KEYS = '';
+
+const { config } = await import('../../src/config.js');
+const { SecretsError } = await import('../../src/errors.js');
+// The keys are loaded when secrets.js is imported; a query string gives a fresh module instance
+const before = await import('../../src/services/secrets.js?before-rotation');
+config.secrets.key = NEW_KEY;
+config.secrets.previousKeys = [OLD_KEY];
+const after = await import('../../src/services/secrets.js?after-rotation');
+config.secrets.key = null;
+config.secrets.previousKeys = [];
+const keyless = await import('../../src/services/secrets.js?keyless');
+
+test('encrypts and decrypts a secret', () => {
+  const encrypted = before.encryptSecret('c_user=1; xs=abc');
+  assert.match(encrypted, /^enc:v1:[0-9a-f]{8}:/);
+  assert.notEqual(before.encryptSecret('c_user=1; xs=abc'), encrypted, 'fresh IV per value');
+  assert.equal(before.isEncrypted(encrypted), true);
+  assert.equal(before.decryptSecret(encrypted), 'c_user=1; xs=abc');
+});
+
+test('leaves plain and missing values alone', () => {
+  assert.equal(before.decryptSecret('plain'), 'plain');
+  assert.equal(before.encryptSecret(null), null);
+  assert.equal(before.encryptSecret(undefined), undefined);
+  assert.equal(keyless.hasSecretsKey(), false);
+  assert.equal(keyless.encryptSecret('plain'), 'plain');
+});
+
+test('rejects tampered values', () => {
+  const encrypted = before.encryptSecret('secret');
+  const parts = encrypted.split(':');
+  parts[5] = Buffer.from('SECRET').toString('base64');
+  assert.throws(() => before.decryptSecret(parts.join(':')), SecretsError);
+});
+
+test('decrypts values written before a key rotation with the previous key', () => {
+  const oldValue = before.encryptSecret('proxy-password');
+  assert.equal(after.decryptSecret(oldValue), 'proxy-password');
+  assert.equal(after.needsReencryption(oldValue), true);
+
+  const newValue = after.encryptSecret('proxy-password');
+  assert.equal(after.needsReencryption(newValue), false);
+  assert.equal(after.needsReencryption('plain'), true);
+  assert.equal(after.needsReencryption(null), false);
+
+  // The old instance never saw the new key
+  assert.throws(() => before.decryptSecret(newValue), /neither SECRETS_KEY nor in SECRETS_PREVIOUS_KEYS/);
+});
+
+test('checks that stored values are readable', () => {
+  const encrypted = before.encryptSecret('secret');
+  assert.doesNotThrow(() => before.assertReadable(encrypted));
+  assert.doesNotThrow(() => keyless.assertReadable('plain'));
+  assert.throws(() => keyless.assertReadable(encrypted), /SECRETS_KEY is not set/);
+  assert.equal(keyless.needsReencryption('plain'), false);
+});
+
+test('refuses keys that are not 32 bytes', async () => {
+  config.secrets.key = 'too-short';
+  try {
+    await assert.rejects(import('../../src/services/secrets.js?bad-key'), /SECRETS_KEY must be a 32-byte key/);
+  } finally {
+    config.secrets.key = null;
+  }
+});
@@ -0,0 +1,155 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from '../../src/stores/fileStore.js';
+import { createRedisStore } from '../../src/stores/redisStore.js';
+import { StoreError } from '../../src/errors.js';
+import { startRespServer } from '../helpers/respServer.js';
+
+/**
+ * The behaviour every store must share (see src/stores/index.js)
+ * @param {Function} open - Returns a fresh, empty store
+ */
+function storeContract(open) {
+  test('returns null for unknown keys and an empty list', async () => {
+    const store = open();
+    assert.equal(await store.get('missing'), null);
+    assert.deepEqual(await store.list(), {});
+    await store.close();
+  });
+
+  test('puts, gets, overwrites and deletes records', async () => {
+    const store = open();
+    const record = { sessionId: 'a', createdAt: 1, asset: { businessId: '123', assetId: null }, note: 'ünïcode ✓' };
+    await store.put('a', record);
+    assert.deepEqual(await store.get('a'), record);
+
+    await store.put('a', { ...record, createdAt: 2 });
+    assert.equal((await store.get('a')).createdAt, 2);
+
+    await store.delete('a');
+    assert.equal(await store.get('a'), null);
+    // Deleting twice is not an error
+    await store.delete('a');
+    await store.close();
+  });
+
+  test('lists all records by key', async () => {
+    const store = open();
+    await store.put('a', { n: 1 });
+    await store.put('b', { n: 2 });
+    assert.deepEqual(await store.list(), { a: { n: 1 }, b: { n: 2 } });
+    await store.close();
+  });
+
+  test('keeps every record of concurrent writes', async () => {
+    const store = open();
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.put(`key-${i}`, { i })));
+    assert.equal(Object.keys(await store.list()).length, 20);
+    await store.close();
+  });
+
+  test('shares records between stores on the same backing data', async () => {
+    const writer = open();
+    const reader = open({ shared: true });
+    await writer.put('a', { n: 1 });
+    assert.deepEqual(await reader.get('a'), { n: 1 });
+    await Promise.all([writer.close(), reader.close()]);
+  });
+
+  test('can be used again after close', async () => {
+    const store = open();
+    await store.put('a', { n: 1 });
+    await store.close();
+    assert.deepEqual(await store.get('a'), { n: 1 });
+    await store.close();
+  });
+}
+
+describe('file store', () => {
+  let dir;
+  let count = 0;
+  let current;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'metabiz-store-test-'));
+  });
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  storeContract(({ shared = false } = {}) => {
+    if (!shared) {
+      current = path.join(dir, `records-${++count}.json`);
+    }
+    return createFileStore(current);
+  });
+
+  test('reports an unreadable file', async () => {
+    const file = path.join(dir, 'broken.json');
+    await fs.writeFile(file, '{not json');
+    await assert.rejects(createFileStore(file).list(), StoreError);
+  });
+});
+
+describe('redis store', () => {
+  let server;
+  let count = 0;
+  let current;
+
+  before(async () => {
+    server = await startRespServer({ password: 'secret' });
+  });
+  after(async () => {
+    await server.close();
+  });
+
+  storeContract(({ shared = false } = {}) => {
+    if (!shared) {
+      current = `test:records-${++count}`;
+    }
+    return createRedisStore({ url: server.url, hash: current, timeoutMs: 2000 });
+  });
+
+  test('authenticates, selects the database and keeps records as JSON in one hash', async () => {
+    const store = createRedisStore({ url: `${server.url}/2`, hash: 'test:format', timeoutMs: 2000 });
+    await store.put('a', { n: 1 });
+    assert.equal(server.hashes.get('test:format').get('a'), '{"n":1}');
+    assert.deepEqual(server.commands.slice(-3).map(([name]) => name), ['AUTH', 'SELECT', 'HSET']);
+    assert.equal(store.location, `127.0.0.1:${new URL(server.url).port}/2 test:format`);
+    await store.close();
+  });
+
+  test('fails with a StoreError for a wrong password', async () => {
+    const url = server.url.replace(':secret@', ':wrong@');
+    const store = createRedisStore({ url, hash: 'test:auth', timeoutMs: 2000 });
+    await assert.rejects(store.get('a'), (error) => error instanceof StoreError && /WRONGPASS/.test(error.message));
+    await store.close();
+  });
+
+  test('reconnects after the connection drops', async () => {
+    const store = createRedisStore({ url: server.url, hash: 'test:reconnect', timeoutMs: 2000 });
+    await store.put('a', { n: 1 });
+    const connections = server.connections;
+    server.dropConnections();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(await store.get('a'), { n: 1 });
+    assert.equal(server.connections, connections + 1);
+    await store.close();
+  });
+
+  test('fails with a StoreError when the server is unreachable', async () => {
+    const probe = await startRespServer();
+    const url = probe.url;
+    await probe.close();
+    const store = createRedisStore({ url, hash: 'test:down', timeoutMs: 2000 });
+    await assert.rejects(store.list(), StoreError);
+    await store.close();
+  });
+
+  test('rejects non-redis URLs', () => {
+    assert.throws(() => createRedisStore({ url: 'http://127.0.0.1:6379', hash: 'x', timeoutMs: 1000 }), StoreError);
+  });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCookieString, toCookieString, parseCookies, readCookieFields, detectCookieFormat, toPlaywrightCookies } from '../../src/utils/cookies.js';
+
+test('parses a cookie string', () => {
+  assert.deepEqual(parseCookieString(' c_user=100012345; xs="12%3Aabc"; ; broken; datr=a=b '), [
+    { name: 'c_user', value: '100012345' },
+    { name: 'xs', value: '12%3Aabc' },
+    { name: 'datr', value: 'a=b' },
+  ]);
+  assert.deepEqual(parseCookieString(''), []);
+  assert.deepEqual(parseCookieString(null), []);
+});
+
+test('serializes cookies back to a string parseCookieString reads', () => {
+  const cookies = [
+    { name: 'c_user', value: '100012345', domain: '.facebook.com', path: '/' },
+    { name: 'xs', value: '12%3Aabc', domain: '.facebook.com', path: '/' },
+  ];
+  const cookieString = toCookieString(cookies);
+  assert.equal(cookieString, 'c_user=100012345; xs=12%3Aabc');
+  assert.deepEqual(parseCookieString(cookieString), cookies.map(({ name, value }) => ({ name, value })));
+  assert.equal(toCookieString([]), '');
+});
+
+test('detects the cookie format', () => {
+  assert.equal(detectCookieFormat('c_user=1; xs=2'), 'string');
+  assert.equal(detectCookieFormat(' [{"name": "xs"}]'), 'json');
+  assert.equal(detectCookieFormat('{"cookies": []}'), 'json');
+  assert.equal(detectCookieFormat([{ name: 'xs' }]), 'json');
+  assert.equal(detectCookieFormat('# Netscape HTTP Cookie File\n'), 'netscape');
+  assert.equal(detectCookieFormat('.facebook.com\tTRUE\t/\tTRUE\t0\txs\tabc'), 'netscape');
+});
+
+test('reads the cookies fields of a request body', () => {
+  assert.deepEqual(readCookieFields('c_user=1; xs=2'), { input: 'c_user=1; xs=2', format: null });
+  assert.deepEqual(readCookieFields('c_user=1', 'string'), { input: 'c_user=1', format: 'string' });
+  assert.deepEqual(readCookieFields([{ name: 'xs', value: '2' }]), { input: '[{"name":"xs","value":"2"}]', format: 'json' });
+  assert.match(readCookieFields('c_user=1', 'yaml').error, /Invalid cookieFormat/);
+  assert.match(readCookieFields([{ name: 'xs' }], 'netscape').error, /Invalid cookies format/);
+  assert.match(readCookieFields('  ').error, /Invalid cookies format/);
+  assert.match(readCookieFields(undefined).error, /Invalid cookies format/);
+});
+
+test('parses string cookies without attributes and reports missing required cookies', () => {
+  const result = parseCookies('c_user=1; datr=3');
+  assert.equal(result.format, 'string');
+  assert.deepEqual(result.cookies, [{ name: 'c_user', value: '1', domain: null }, { name: 'datr', value: '3', domain: null }]);
+  assert.deepEqual(result.missing, ['xs']);
+  assert.match(parseCookies(['c_user=1'], 'string').error, /must be a string/);
+});
+
+test('parses a JSON export with its attributes', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const future = now / 1000 + 3600;
+  const result = parseCookies(JSON.stringify([
+    { domain: '.facebook.com', name: 'xs', value: 'abc', path: '/', expirationDate: future, httpOnly: true, secure: true, sameSite: 'no_restriction' },
+    { domain: 'business.facebook.com', hostOnly: true, name: 'c_user', value: '1', session: true, secure: true },
+    { domain: '.example.com', name: 'other', value: 'x' },
+    { domain: '.facebook.com', name: 'old', value: 'x', expires: now / 1000 - 60 },
+    { domain: '.facebook.com', name: 'lax', value: 'x', sameSite: 'None', secure: false },
+  ]), null, now);
+
+  assert.equal(result.format, 'json');
+  assert.deepEqual(result.cookies, [
+    { name: 'xs', value: 'abc', domain: '.facebook.com', path: '/', expires: future, httpOnly: true, secure: true, sameSite: 'None' },
+    { name: 'c_user', value: '1', domain: 'business.facebook.com', path: '/', expires: -1, httpOnly: false, secure: true, sameSite: 'Lax' },
+  ]);
+  assert.deepEqual(result.rejected.map(({ name }) => name), ['other', 'old', 'lax']);
+  assert.match(result.rejected[0].reason, /not a facebook.com domain/);
+  assert.match(result.rejected[1].reason, /expired/);
+  assert.match(result.rejected[2].reason, /requires secure/);
+  assert.deepEqual(result.missing, []);
+
+  // Playwright storage state
+  assert.equal(parseCookies({ cookies: [{ domain: '.facebook.com', name: 'xs', value: 'a' }] }).cookies.length, 1);
+  assert.match(parseCookies('[not json', 'json').error, /Invalid JSON cookies/);
+  assert.match(parseCookies('{"foo": 1}').error, /expected an array/);
+});
+
+test('parses a Netscape cookies.txt file', () => {
+  const file = [
+    '# Netscape HTTP Cookie File',
+    '#HttpOnly_.facebook.com\tTRUE\t/\tTRUE\t0\txs\tabc',
+    'business.facebook.com\tFALSE\t/\tTRUE\t0\tc_user\t1',
+    'broken line',
+    '',
+  ].join('\n');
+  const result = parseCookies(file);
+
+  assert.equal(result.format, 'netscape');
+  assert.deepEqual(result.cookies.map(({ name, domain, httpOnly, expires }) => ({ name, domain, httpOnly, expires })), [
+    { name: 'xs', domain: '.facebook.com', httpOnly: true, expires: -1 },
+    { name: 'c_user', domain: 'business.facebook.com', httpOnly: false, expires: -1 },
+  ]);
+  assert.equal(result.rejected.length, 1);
+  assert.match(result.rejected[0].reason, /7 tab-separated fields/);
+});
+
+test('converts cookies to Playwright cookies', () => {
+  const [stringCookie, fullCookie] = toPlaywrightCookies([
+    { name: 'c_user', value: '1', domain: null },
+    { name: 'xs', value: 'abc', domain: '.facebook.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'None' },
+  ]);
+  assert.deepEqual(stringCookie, { name: 'c_user', value: '1', domain: '.business.facebook.com', path: '/', secure: true, httpOnly: false, sameSite: 'Lax' });
+  assert.equal(fullCookie.httpOnly, true);
+  assert.equal(toPlaywrightCookies([{ name: 'a', value: 'b' }], '.facebook.com')[0].domain, '.facebook.com');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../../src/utils/csv.js';
+
+test('parses rows keyed by the header', () => {
+  assert.deepEqual(parseCsv('to,message\n+447911123456,Hello\n+12125551234,Hi there\n'), [
+    { to: '+447911123456', message: 'Hello' },
+    { to: '+12125551234', message: 'Hi there' },
+  ]);
+});
+
+test('handles quoted fields with commas, quotes and line breaks', () => {
+  const text = 'extension,phoneNumber,message\r\n62,87769691301,"Hello, ""Budi""\nYour order shipped"\r\n';
+  assert.deepEqual(parseCsv(text), [
+    { extension: '62', phoneNumber: '87769691301', message: 'Hello, "Budi"\nYour order shipped' },
+  ]);
+});
+
+test('trims values, fills missing columns and skips blank lines and unnamed columns', () => {
+  const text = '\uFEFF to , message ,\n\n +447911123456 , Hello , extra\n+12125551234\n   \n';
+  assert.deepEqual(parseCsv(text), [
+    { to: '+447911123456', message: 'Hello' },
+    { to: '+12125551234', message: '' },
+  ]);
+});
+
+test('returns no rows for empty input or a header alone', () => {
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv(undefined), []);
+  assert.deepEqual(parseCsv('to,message'), []);
+});
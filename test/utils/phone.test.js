@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePhoneNumber, getCountry } from '../../src/utils/phone.js';
+
+test('parses an international number', () => {
+  assert.deepEqual(parsePhoneNumber({ to: '+44 7911 123456' }), {
+    valid: true,
+    e164: '+447911123456',
+    callingCode: '44',
+    nationalNumber: '7911123456',
+    country: { iso: 'GB', name: 'United Kingdom' },
+  });
+  assert.equal(parsePhoneNumber({ to: '00447911123456' }).e164, '+447911123456');
+});
+
+test('parses a national number with a country or an extension', () => {
+  const byCountry = parsePhoneNumber({ country: 'gb', phoneNumber: '07911 123456' });
+  assert.equal(byCountry.e164, '+447911123456');
+  assert.equal(byCountry.nationalNumber, '7911123456');
+
+  const byExtension = parsePhoneNumber({ extension: '+62', phoneNumber: '087769691301' });
+  assert.equal(byExtension.e164, '+6287769691301');
+  assert.equal(byExtension.country.iso, 'ID');
+
+  // Written with the country code in front
+  assert.equal(parsePhoneNumber({ country: 'GB', phoneNumber: '+44 7911 123456' }).e164, '+447911123456');
+});
+
+test('tells countries sharing a calling code apart', () => {
+  assert.equal(parsePhoneNumber({ to: '+14165551234' }).country.iso, 'CA');
+  assert.equal(parsePhoneNumber({ to: '+12125551234' }).country.iso, 'US');
+  assert.equal(parsePhoneNumber({ extension: '1', phoneNumber: '8765551234' }).country.iso, 'JM');
+  assert.equal(parsePhoneNumber({ to: '+77011234567' }).country.iso, 'KZ');
+  assert.equal(parsePhoneNumber({ to: '+79161234567' }).country.iso, 'RU');
+});
+
+test('rejects a national number of another country sharing the calling code', () => {
+  const canadian = parsePhoneNumber({ country: 'US', phoneNumber: '4165551234' });
+  assert.equal(canadian.valid, false);
+  assert.match(canadian.error, /belongs to Canada/);
+
+  assert.equal(parsePhoneNumber({ country: 'CA', phoneNumber: '2125551234' }).valid, false);
+  assert.equal(parsePhoneNumber({ country: 'RU', phoneNumber: '7011234567' }).valid, false);
+  assert.equal(parsePhoneNumber({ country: 'CA', phoneNumber: '4165551234' }).valid, true);
+});
+
+test('falls back to the E.164 length check for calling codes without a country entry', () => {
+  for (const to of ['+9647901234567', '+50934567890', '+37360123456']) {
+    const result = parsePhoneNumber({ to });
+    assert.equal(result.valid, true, to);
+    assert.equal(result.e164, to);
+    assert.deepEqual(result.country, { iso: null, name: null });
+  }
+  assert.equal(parsePhoneNumber({ extension: '964', phoneNumber: '790 123 4567' }).e164, '+9647901234567');
+
+  assert.equal(parsePhoneNumber({ to: '+96412' }).valid, false);
+  assert.equal(parsePhoneNumber({ to: '+9641234567890123' }).valid, false);
+});
+
+test('rejects invalid numbers', () => {
+  const cases = [
+    [{}, /Missing recipient/],
+    [{ to: '447911123456' }, /starting with \+/],
+    [{ to: '+44 7911 12345a' }, /Invalid phone number/],
+    [{ to: '+2141234567' }, /Unknown or unsupported country calling code/],
+    [{ to: '+4479111234' }, /United Kingdom numbers have 9 or 10 digits/],
+    [{ to: '+12125551234', country: 'US' }, /either to, or phoneNumber/],
+    [{ phoneNumber: '7911123456' }, /Missing recipient/],
+    [{ phoneNumber: '7911123456', country: 'GB', extension: '44' }, /either country or extension/],
+    [{ phoneNumber: '7911123456', country: 'XX' }, /Unknown or unsupported country/],
+    [{ phoneNumber: '7911123456', extension: '999' }, /Unknown or unsupported country calling code/],
+    [{ country: 'US', phoneNumber: '1125551234' }, /must not start with 0 or 1/],
+    [{ to: 447911123456 }, /to must be a string/],
+  ];
+  for (const [input, error] of cases) {
+    const result = parsePhoneNumber(input);
+    assert.equal(result.valid, false, JSON.stringify(input));
+    assert.match(result.error, error, JSON.stringify(input));
+  }
+});
+
+test('looks up countries by ISO code', () => {
+  assert.deepEqual(getCountry('de'), { iso: 'DE', name: 'Germany', callingCode: '49' });
+  assert.equal(getCountry('XX'), null);
+  assert.equal(getCountry(undefined), null);
+});